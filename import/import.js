@@ -0,0 +1,112 @@
+// Import page, opened in its own tab from the popup's settings view
+
+let pendingImport = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+	const importFile = document.getElementById("import-file");
+
+	importFile.addEventListener("change", async () => {
+		const file = importFile.files[0];
+		if (!file) return;
+
+		try {
+			pendingImport = JSON.parse(await file.text());
+		} catch (err) {
+			pendingImport = null;
+			showImportPreview({ valid: false, error: "File is not valid JSON" });
+			return;
+		}
+
+		const response = await browser.runtime.sendMessage({
+			command: "validate_import",
+			data: pendingImport
+		});
+		showImportPreview(response);
+	});
+
+	document.getElementById("import-cancel").addEventListener("click", () => {
+		pendingImport = null;
+		importFile.value = "";
+		document.getElementById("import-preview").classList.add("hidden");
+	});
+
+	document.getElementById("import-apply").addEventListener("click", async () => {
+		if (!pendingImport) return;
+
+		const response = await browser.runtime.sendMessage({
+			command: "import_settings",
+			data: pendingImport,
+			mode: document.querySelector("input[name='import-mode']:checked").value
+		});
+		if (!response || !response.success) {
+			showImportPreview({ valid: false, error: response?.error || "Import failed" });
+			return;
+		}
+
+		pendingImport = null;
+		importFile.value = "";
+		showImportDone();
+	});
+});
+
+// Show what an import would do, or why it can't be applied
+function showImportPreview(result) {
+	const preview = document.getElementById("import-preview");
+	const summary = document.getElementById("import-summary");
+	const conflictsTable = document.getElementById("import-conflicts");
+	const conflictsTbody = conflictsTable.querySelector("tbody");
+
+	preview.classList.remove("hidden", "done");
+	preview.classList.toggle("error", !result || !result.valid);
+	document.getElementById("import-mode").classList.toggle("hidden", !result || !result.valid);
+	document.getElementById("import-actions").classList.remove("hidden");
+	document.getElementById("import-apply").classList.toggle("hidden", !result || !result.valid);
+	conflictsTbody.innerHTML = "";
+
+	if (!result || !result.valid) {
+		summary.innerText = `Can't import: ${result?.error || "unknown error"}`;
+		conflictsTable.classList.add("hidden");
+		return;
+	}
+
+	summary.innerText = result.conflicts.length
+		? `${result.count} volumes found. These saved volumes will change:`
+		: `${result.count} volumes found. No saved volumes will change.`;
+	const removals = describeRemovals(result.removed);
+	if (removals.length > 0) {
+		summary.innerText += ` Replacing will also remove what isn't in the file: ${removals.join(", ")}.`;
+	}
+	conflictsTable.classList.toggle("hidden", result.conflicts.length === 0);
+
+	result.conflicts.forEach(conflict => {
+		const row = document.createElement("tr");
+		[conflict.rule, conflict.profile, `${conflict.current}%`, `${conflict.imported}%`].forEach(text => {
+			const cell = document.createElement("td");
+			cell.innerText = text;
+			row.appendChild(cell);
+		});
+		conflictsTbody.appendChild(row);
+	});
+}
+
+// List what a replacing import would remove, for the preview
+function describeRemovals(removed) {
+	const parts = [];
+	if (removed.volumes) parts.push(`${removed.volumes} saved volumes`);
+	removed.profiles.forEach(name => parts.push(`the "${name}" profile`));
+	if (removed.mutes) parts.push(`${removed.mutes} site mutes`);
+	if (removed.siteSettings) parts.push(`settings for ${removed.siteSettings} sites`);
+	if (removed.schedules) parts.push(`${removed.schedules} schedules`);
+	if (removed.globalSettings) parts.push("your default settings (the file's are used instead)");
+	return parts;
+}
+
+function showImportDone() {
+	const preview = document.getElementById("import-preview");
+	preview.classList.remove("error");
+	preview.classList.add("done");
+	document.getElementById("import-summary").innerText = "Imported. You can close this tab.";
+	document.getElementById("import-conflicts").classList.add("hidden");
+	document.getElementById("import-mode").classList.add("hidden");
+	document.getElementById("import-actions").classList.add("hidden");
+}
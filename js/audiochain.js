@@ -0,0 +1,230 @@
+/**
+ * Better Volume - Audio Processing Chain
+ * 
+ * Shared by the content script and the page-world interceptor (js/interceptor.js),
+ * which both load this file first, and by the background script for mergeLevels;
+ * see manifest.json. Everything is exposed as a single betterVolumeAudioChain
+ * property, which the interceptor removes from the page's window as soon as it
+ * has taken its own reference.
+ */
+
+(function() {
+    // Pauses shorter than this (ms) resume without a fade-in, e.g. a player seeking or
+    // switching streams, or a page suspending its AudioContext between short sounds
+    const FADE_IN_MIN_PAUSE = 2000;
+
+    // Combine level readings from several chains into the loudest of each
+    function mergeLevels(levels) {
+        const readings = levels.filter(Boolean);
+        if (readings.length === 0) return null;
+
+        return {
+            peak: Math.max(...readings.map(level => level.peak)),
+            rms: Math.max(...readings.map(level => level.rms)),
+            clipped: readings.some(level => level.clipped)
+        };
+    }
+
+    // Build the processing stages that sit between a gain node and the output.
+    // This runs in the page's own world too, so it must not reference anything
+    // outside of itself.
+    // onCorrection is called with the auto level correction in dB when it changes.
+    function createAudioChain(context, destination, onCorrection) {
+        // Limiter: a hard-kneed compressor that is neutral (ratio 1) when disengaged
+        const limiter = context.createDynamicsCompressor();
+        limiter.knee.value = 0;
+        limiter.attack.value = 0.003;
+        limiter.release.value = 0.25;
+        limiter.connect(destination);
+
+        // Balance: optional downmix to mono, then a stereo panner. The panner puts a
+        // mono source at -3 dB per channel even when centred, so it is bypassed until needed.
+        const downmix = context.createGain();
+        const panner = context.createStereoPanner();
+        panner.connect(limiter);
+        downmix.connect(limiter);
+        let panning = false;
+
+        function setPanning(enabled) {
+            if (enabled === panning) return;
+            downmix.disconnect();
+            downmix.connect(enabled ? panner : limiter);
+            panning = enabled;
+        }
+
+        // Equalizer: bass, mid and treble bands feeding the balance stage
+        const bands = [
+            { type: "lowshelf", frequency: 200 },
+            { type: "peaking", frequency: 1000 },
+            { type: "highshelf", frequency: 4000 }
+        ].map(band => {
+            const filter = context.createBiquadFilter();
+            filter.type = band.type;
+            filter.frequency.value = band.frequency;
+            filter.gain.value = 0;
+            return filter;
+        });
+        bands.reduce((previous, filter) => {
+            previous.connect(filter);
+            return filter;
+        });
+        bands[bands.length - 1].connect(downmix);
+
+        // Auto level: measures loudness ahead of the other stages and steers a gain toward a target
+        const input = context.createGain();
+        const autoGain = context.createGain();
+        const levelAnalyser = context.createAnalyser();
+        levelAnalyser.fftSize = 2048;
+        const samples = new Float32Array(levelAnalyser.fftSize);
+        input.connect(levelAnalyser);
+        input.connect(autoGain);
+        autoGain.connect(bands[0]);
+
+        let autoLevel = {};
+        let volumeGain = 1;       // The user's volume, already applied ahead of the chain
+        let peakGain = 1;         // The largest gain ahead of the chain, where sources have their own
+        let sourceLevel = null;   // Smoothed loudness of the source in dB
+        let autoLevelTimer = null;
+
+        function setCorrection(correction) {
+            // Only report changes of half a dB or more
+            const rounded = Math.round(correction * 2) / 2;
+            if (rounded !== chain.correction) {
+                chain.correction = rounded;
+                updateLimiter();
+                if (onCorrection) onCorrection(rounded);
+            }
+        }
+
+        // In auto mode the limiter engages whenever anything boosts: the volume, a source's own gain
+        // or the auto level correction
+        let limiterOptions = {};
+        function updateLimiter() {
+            const boosted = peakGain > 1 || chain.correction > 0;
+            const engaged = limiterOptions.mode === "on" || (limiterOptions.mode === "auto" && boosted);
+
+            limiter.threshold.value = engaged ? limiterOptions.threshold : 0;
+            limiter.ratio.value = engaged ? 20 : 1;
+        }
+
+        function measureLevel() {
+            levelAnalyser.getFloatTimeDomainData(samples);
+            let sum = 0;
+            for (let i = 0; i < samples.length; i++) {
+                sum += samples[i] * samples[i];
+            }
+            const rms = Math.sqrt(sum / samples.length);
+
+            // Hold the correction through silence and mutes rather than boosting them
+            if (volumeGain <= 0 || rms < 0.001) return;
+
+            // Measure the source, not the user's volume, so the correction layers on top of it
+            const level = 20 * Math.log10(rms / volumeGain);
+            sourceLevel = sourceLevel === null ? level : sourceLevel * 0.9 + level * 0.1;
+
+            const correction = Math.max(-24, Math.min(autoLevel.maxBoost, autoLevel.target - sourceLevel));
+            autoGain.gain.setTargetAtTime(Math.pow(10, correction / 20), context.currentTime, 0.5);
+            setCorrection(correction);
+        }
+
+        // Output meter: only connected while something keeps reading it (the popup's meter)
+        let meter = null;
+        let meterSamples = null;
+        let meterTimer = null;
+
+        // Read the peak and RMS of the output, as linear sample values (1 is full scale)
+        function measureOutput() {
+            if (!meter) {
+                meter = context.createAnalyser();
+                meter.fftSize = 2048;
+                meterSamples = new Float32Array(meter.fftSize);
+                limiter.connect(meter);
+            }
+
+            clearTimeout(meterTimer);
+            meterTimer = setTimeout(() => {
+                limiter.disconnect(meter);
+                meter = null;
+            }, 2000);
+
+            meter.getFloatTimeDomainData(meterSamples);
+            let peak = 0;
+            let sum = 0;
+            for (let i = 0; i < meterSamples.length; i++) {
+                peak = Math.max(peak, Math.abs(meterSamples[i]));
+                sum += meterSamples[i] * meterSamples[i];
+            }
+            return { peak, rms: Math.sqrt(sum / meterSamples.length), clipped: peak >= 1 };
+        }
+
+        // Move a gain to a value over the ramp's duration (in ms), starting from `from` or wherever it is now
+        function setGain(param, value, ramp, from) {
+            const now = context.currentTime;
+            const start = from === undefined ? param.value : from;
+            const duration = ramp && ramp.duration > 0 ? ramp.duration / 1000 : 0;
+
+            param.cancelScheduledValues(now);
+            if (duration === 0) {
+                param.setValueAtTime(value, now);
+            } else if (ramp.curve === "exponential") {
+                // Exponential ramps can't start or end at zero, so get close and then jump
+                param.setValueAtTime(Math.max(start, 0.0001), now);
+                param.exponentialRampToValueAtTime(Math.max(value, 0.0001), now + duration);
+                if (value === 0) param.setValueAtTime(0, now + duration);
+            } else {
+                param.setValueAtTime(start, now);
+                param.linearRampToValueAtTime(value, now + duration);
+            }
+        }
+
+        const chain = {
+            input: input,
+            correction: 0,
+            setGain: setGain,
+            measureOutput: measureOutput,
+
+            // Apply the current volume (in percent) and processing settings. maxGain is the
+            // largest gain ahead of the chain when sources have their own, e.g. per-element gains.
+            update(volume, settings, maxGain) {
+                volumeGain = volume / 100;
+                peakGain = maxGain ?? volumeGain;
+                autoLevel = (settings && settings.autoLevel) || {};
+                if (autoLevel.enabled && !autoLevelTimer) {
+                    autoLevelTimer = setInterval(measureLevel, 100);
+                } else if (!autoLevel.enabled && autoLevelTimer) {
+                    clearInterval(autoLevelTimer);
+                    autoLevelTimer = null;
+                    sourceLevel = null;
+                    autoGain.gain.setTargetAtTime(1, context.currentTime, 0.1);
+                    setCorrection(0);
+                }
+
+                const eq = (settings && settings.eq) || {};
+                bands.forEach((filter, index) => {
+                    filter.gain.value = (eq.bands && eq.bands[index]) || 0;
+                });
+
+                // Mono collapses to a single channel; the gain offsets the panner's -3 dB centre
+                const balance = (settings && settings.balance) || {};
+                if (balance.mono) {
+                    downmix.channelCount = 1;
+                    downmix.channelCountMode = "explicit";
+                    downmix.channelInterpretation = "speakers";
+                    downmix.gain.value = Math.SQRT2;
+                } else {
+                    downmix.channelCountMode = "max";
+                    downmix.gain.value = 1;
+                }
+                panner.pan.value = (balance.pan || 0) / 100;
+                setPanning(!!balance.mono || !!balance.pan);
+
+                limiterOptions = (settings && settings.limiter) || {};
+                updateLimiter();
+            }
+        };
+
+        return chain;
+    }
+
+    globalThis.betterVolumeAudioChain = { createAudioChain, mergeLevels, FADE_IN_MIN_PAUSE };
+})();
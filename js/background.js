@@ -8,212 +8,1893 @@
  * 4. Badge display of current volume
  */
 
+// Chromium runs this as a service worker, which has to load the compatibility shim and shared chain code itself
+if (typeof importScripts === "function") {
+	importScripts("compat.js", "audiochain.js");
+}
+
+// Only the level merging is used here, see js/audiochain.js
+const { mergeLevels } = betterVolumeAudioChain;
+
 // Store volume for active tabs and domains
 const volumes = {
 	tabs: {},        // Tab ID -> volume
-	domains: {}      // Domain -> volume
+	domains: {},     // Rule (host, wildcard or path prefix) -> volume, for the active profile
+	unlinked: {},    // Tab ID -> true for tabs that ignore their rule's volume
+	muted: {},       // Tab ID -> true for muted tabs
+	mutedDomains: {},// Rule -> true for muted rules
+	soloTabId: null, // Tab that is the only one left audible, if any
+	frames: {},      // Tab ID -> { frame ID -> true } for frames with a content script
+	ducking: {},     // Tab ID -> true for priority tabs playing audio, which duck the others
+	customIcons: {}, // Tab ID -> true for tabs showing a drawn toolbar icon (see updateTabIcon)
+	privateDomains: {}, // Rule -> volume set in private windows, never written to disk (see getVolumeTable)
+	privateMuted: {}    // Rule -> true or false (unmuting a saved rule) for mutes in private windows
+};
+
+// Audio processing defaults, overridden by global and per-rule settings
+const DEFAULT_SETTINGS = {
+	limiter: { mode: "auto", threshold: -3 },  // mode: "auto" (above 100%), "on" or "off"
+	eq: { preset: "flat", bands: [0, 0, 0] },  // Bass, mid and treble gain in dB
+	balance: { pan: 0, mono: false },          // pan: -100 (left) to 100 (right)
+	autoLevel: { enabled: false, target: -20, maxBoost: 12 },  // Target loudness and max boost in dB
+	compatibility: { neverHook: false },       // Use element volume instead of Web Audio (takes effect on reload)
+	player: { handOff: false },                // Put volumes below 100% into the site player's own volume
+	ramp: { curve: "linear", duration: 150, fadeIn: 0 }  // Volume change ramp and fade-in on play, in ms (0 = off)
+};
+
+// Extension-wide option defaults, saved with the global settings but never per rule or sent to tabs
+const DEFAULT_GLOBAL_SETTINGS = {
+	general: { autoSave: true },  // Save on slider change (the default volume belongs to profiles)
+	ducking: { enabled: false, rules: [], amount: 50, fade: 1000 },  // Lower other tabs by amount % while a priority rule's tab plays, restoring over fade ms
+	private: { seed: true, share: false },  // Private windows start from saved volumes; share changes with normal windows
+	badge: { hideDefault: false, colorByLevel: false, dynamicIcon: false }  // Badge text and color, and the toolbar icon
+};
+
+// Store global and per-rule settings
+const settings = {
+	global: {},      // Setting key -> value
+	domains: {},     // Rule -> { setting key -> value }
+	privateDomains: {}, // Rule -> { setting key -> value } set in private windows, never written to disk
+	schedules: []    // Time-of-day volume schedules, see getActiveSchedule
+};
+
+// Named sets of saved volumes (e.g. headphones and speakers); volumes.domains is the active one's
+const DEFAULT_PROFILE_ID = "default";
+const profiles = {
+	active: DEFAULT_PROFILE_ID,
+	list: {}         // Profile ID -> { name, defaultVolume, domainVolumes: { rule -> volume } }
+};
+
+// Start with an empty default profile until storage has loaded
+setActiveProfile(DEFAULT_PROFILE_ID);
+
+/**
+ * Storage layer. Everything the user saves goes through here, so it can live in
+ * storage.local or (opt-in) storage.sync under a versioned schema.
+ *
+ * Schema 1 kept flat domainVolumes/mutedDomains/domainSettings objects in
+ * storage.local. Schema 2 stores one item per rule, which keeps sync items small
+ * and lets changes from other devices merge rule by rule. Schema 3 moved volumes
+ * and the default volume into profiles:
+ *   "v:<profile>:<rule>" -> volume, "m:<rule>" -> true, "s:<rule>" -> settings,
+ *   "profiles" -> { profile ID -> { name, defaultVolume } },
+ *   "globalSettings" -> settings, "schedules" -> [schedule], "schemaVersion" -> 3
+ * storage.local always keeps syncEnabled, syncError and the device's activeProfile,
+ * whichever area is used.
+ */
+const STORAGE_SCHEMA_VERSION = 3;
+const STORAGE_PREFIX = {
+	volume: "v:",
+	muted: "m:",
+	settings: "s:"
 };
 
-// Load saved domain volumes on startup
-browser.storage.local.get('domainVolumes')
-	.then(result => {
-		volumes.domains = result.domainVolumes || {};
-		console.log('[Better Volume] Loaded domain volumes:', Object.keys(volumes.domains).length);
-	})
-	.catch(err => console.error('[Better Volume] Error loading domain volumes:', err));
+const storageState = {
+	syncEnabled: false,
+	syncError: null, // Why sync was turned off automatically, if it was
+	pending: {},     // Key -> value waiting to be written (undefined removes it)
+	flushTimer: null
+};
+
+function getStorageArea() {
+	return storageState.syncEnabled ? browser.storage.sync : browser.storage.local;
+}
+
+function isDataKey(key) {
+	return key === "globalSettings" || key === "schedules" || key === "profiles" || Object.values(STORAGE_PREFIX).some(prefix => key.startsWith(prefix));
+}
+
+// Volume items are keyed by profile and rule
+function getVolumeKey(profileId, rule) {
+	return `${STORAGE_PREFIX.volume}${profileId}:${rule}`;
+}
+
+// Split a volume key into its profile and rule; schema 2 keys have no profile
+function parseVolumeKey(key, schemaVersion = STORAGE_SCHEMA_VERSION) {
+	const rest = key.slice(STORAGE_PREFIX.volume.length);
+	if (schemaVersion === 2) return { profileId: DEFAULT_PROFILE_ID, rule: rest };
+
+	const separator = rest.indexOf(":");
+	if (separator < 1) return null;
+	return { profileId: rest.slice(0, separator), rule: rest.slice(separator + 1) };
+}
+
+// Turn saved state into schema 3 items
+function serializeState(state) {
+	const items = {
+		schemaVersion: STORAGE_SCHEMA_VERSION,
+		globalSettings: state.globalSettings,
+		schedules: state.schedules,
+		profiles: getProfileMetadata(state.profiles)
+	};
+	for (const profileId in state.profiles) {
+		const domainVolumes = state.profiles[profileId].domainVolumes;
+		for (const rule in domainVolumes) {
+			items[getVolumeKey(profileId, rule)] = domainVolumes[rule];
+		}
+	}
+	for (const rule in state.mutedDomains) {
+		items[STORAGE_PREFIX.muted + rule] = true;
+	}
+	for (const rule in state.domainSettings) {
+		items[STORAGE_PREFIX.settings + rule] = state.domainSettings[rule];
+	}
+	return items;
+}
+
+// Read schema 2 or 3 items back into saved state
+function parseStoredItems(items) {
+	const state = {
+		profiles: {},
+		mutedDomains: {},
+		globalSettings: items.globalSettings || {},
+		domainSettings: {},
+		schedules: items.schedules || []
+	};
+	for (const profileId in items.profiles) {
+		getProfile(state.profiles, profileId, items.profiles[profileId]);
+	}
+	for (const key in items) {
+		if (key.startsWith(STORAGE_PREFIX.volume)) {
+			const parsed = parseVolumeKey(key, items.schemaVersion);
+			if (parsed) {
+				getProfile(state.profiles, parsed.profileId).domainVolumes[parsed.rule] = items[key];
+			}
+		} else if (key.startsWith(STORAGE_PREFIX.muted)) {
+			state.mutedDomains[key.slice(STORAGE_PREFIX.muted.length)] = true;
+		} else if (key.startsWith(STORAGE_PREFIX.settings)) {
+			state.domainSettings[key.slice(STORAGE_PREFIX.settings.length)] = items[key];
+		}
+	}
+	getProfile(state.profiles, DEFAULT_PROFILE_ID);
+	return state;
+}
+
+function getSavedState() {
+	return {
+		profiles: profiles.list,
+		mutedDomains: volumes.mutedDomains,
+		globalSettings: settings.global,
+		domainSettings: settings.domains,
+		schedules: settings.schedules
+	};
+}
+
+function setSavedState(state) {
+	profiles.list = state.profiles;
+	setActiveProfile(profiles.active);
+	volumes.mutedDomains = state.mutedDomains;
+	settings.global = state.globalSettings;
+	settings.domains = state.domainSettings;
+	settings.schedules = state.schedules;
+}
+
+// Bring an area's data up to the current schema. Schema 1 was only ever in storage.local.
+function migrateStorage(area) {
+	return area.get(null)
+		.then(items => {
+			const version = items.schemaVersion || 1;
+			if (version >= STORAGE_SCHEMA_VERSION) return;
+			if (version === 1 && area !== browser.storage.local) return;
+
+			const state = version === 1 ? {
+				profiles: {
+					[DEFAULT_PROFILE_ID]: createProfileEntry("Default", 100, items.domainVolumes || {})
+				},
+				mutedDomains: items.mutedDomains || {},
+				globalSettings: items.globalSettings || {},
+				domainSettings: items.domainSettings || {},
+				schedules: []
+			} : parseStoredItems(items);
+
+			// The default volume moved from the general settings into the profile
+			const { defaultVolume, ...general } = state.globalSettings.general || {};
+			if (defaultVolume !== undefined) {
+				state.profiles[DEFAULT_PROFILE_ID].defaultVolume = defaultVolume;
+				state.globalSettings = { ...state.globalSettings, general };
+			}
+
+			const migrated = serializeState(state);
+			const legacyKeys = ['domainVolumes', 'mutedDomains', 'domainSettings'];
+			const stale = Object.keys(items).filter(key => !(key in migrated) && (isDataKey(key) || legacyKeys.includes(key)));
+
+			console.log(`[Better Volume] Migrating storage from schema ${version} to ${STORAGE_SCHEMA_VERSION}`);
+			return area.set(migrated)
+				.then(() => stale.length > 0 && area.remove(stale));
+		});
+}
+
+// Load saved state from whichever area is in use, migrating old data first
+function loadStorage() {
+	return browser.storage.local.get(null)
+		.then(items => {
+			storageState.syncEnabled = items.syncEnabled === true;
+			storageState.syncError = items.syncError || null;
+			profiles.active = items.activeProfile || DEFAULT_PROFILE_ID;
+			return migrateStorage(browser.storage.local);
+		})
+		.then(() => storageState.syncEnabled && migrateStorage(browser.storage.sync))
+		.then(() => getStorageArea().get(null))
+		.then(items => {
+			setSavedState(parseStoredItems(items));
+			updateScheduleAlarm();
+			console.log('[Better Volume] Loaded domain volumes:', Object.keys(volumes.domains).length);
+		});
+}
+
+// Queue a write, batching bursts (like slider drags) to stay under sync rate limits
+function queueStorageWrite(key, value) {
+	storageState.pending[key] = value;
+	clearTimeout(storageState.flushTimer);
+	storageState.flushTimer = setTimeout(flushStorageWrites, storageState.syncEnabled ? 1000 : 0);
+}
+
+function flushStorageWrites() {
+	clearTimeout(storageState.flushTimer);
+	const pending = storageState.pending;
+	storageState.pending = {};
+
+	const updates = {};
+	const removals = [];
+	for (const key in pending) {
+		if (pending[key] === undefined) {
+			removals.push(key);
+		} else {
+			updates[key] = pending[key];
+		}
+	}
+
+	const area = getStorageArea();
+	return area.set(updates)
+		.then(() => removals.length > 0 && area.remove(removals))
+		.catch(handleStorageError);
+}
+
+// Write all saved state to the area in use, removing anything it no longer has
+function saveAllToStorage() {
+	const items = serializeState(getSavedState());
+	const area = getStorageArea();
+
+	storageState.pending = {};
+	return area.get(null)
+		.then(existing => {
+			const stale = Object.keys(existing).filter(key => isDataKey(key) && !(key in items));
+			return area.set(items).then(() => stale.length > 0 && area.remove(stale));
+		})
+		.catch(handleStorageError);
+}
+
+function saveRuleVolume(rule) {
+	queueStorageWrite(getVolumeKey(profiles.active, rule), volumes.domains[rule]);
+}
+
+function saveRuleMute(rule) {
+	queueStorageWrite(STORAGE_PREFIX.muted + rule, volumes.mutedDomains[rule]);
+}
+
+function saveRuleSettings(rule) {
+	queueStorageWrite(STORAGE_PREFIX.settings + rule, settings.domains[rule]);
+}
+
+function saveGlobalSettings() {
+	queueStorageWrite("globalSettings", settings.global);
+}
+
+function saveSchedules() {
+	queueStorageWrite("schedules", settings.schedules);
+}
+
+function saveProfiles() {
+	queueStorageWrite("profiles", getProfileMetadata(profiles.list));
+}
+
+// Sync storage has tight quotas; when they are hit, fall back to this device only
+function handleStorageError(err) {
+	console.error('[Better Volume] Error saving to storage:', err);
+
+	if (storageState.syncEnabled && /quota|max_/i.test(err.message || "")) {
+		return setSyncEnabled(false)
+			.then(() => {
+				storageState.syncError = "Sync storage is full, so volumes are only saved on this device.";
+				return browser.storage.local.set({ syncError: storageState.syncError });
+			});
+	}
+}
+
+/**
+ * Switch between storage.local and storage.sync. Turning sync on merges what is
+ * already synced from other devices over this device's values; turning it off
+ * keeps a local copy of everything.
+ */
+function setSyncEnabled(enabled) {
+	if (enabled === storageState.syncEnabled) return Promise.resolve();
+
+	return flushStorageWrites()
+		.then(() => enabled && migrateStorage(browser.storage.sync))
+		.then(() => enabled && browser.storage.sync.get(null))
+		.then(remoteItems => {
+			if (remoteItems) {
+				const remote = parseStoredItems(remoteItems);
+				mergeProfiles(remote.profiles);
+				Object.assign(volumes.mutedDomains, remote.mutedDomains);
+				Object.assign(settings.global, remote.globalSettings);
+				Object.assign(settings.domains, remote.domainSettings);
+				if (remoteItems.schedules) {
+					settings.schedules = remote.schedules;
+				}
+			}
+
+			storageState.syncEnabled = enabled;
+			storageState.syncError = null;
+			return browser.storage.local.set({ syncEnabled: enabled, syncError: null });
+		})
+		.then(() => saveAllToStorage())
+		.then(() => reapplyRulesToAllTabs());
+}
+
+// Merge one changed item from another device into memory; returns whether anything changed
+function applyStoredChange(key, value) {
+	let table, rule;
+	if (key === "globalSettings") {
+		if (JSON.stringify(settings.global) === JSON.stringify(value || {})) return false;
+		settings.global = value || {};
+		return true;
+	}
+	if (key === "schedules") {
+		if (JSON.stringify(settings.schedules) === JSON.stringify(value || [])) return false;
+		settings.schedules = value || [];
+		return true;
+	}
+	if (key === "profiles") {
+		if (JSON.stringify(getProfileMetadata(profiles.list)) === JSON.stringify(value || {})) return false;
+		applyProfileMetadata(value || {});
+		return true;
+	}
+	if (key.startsWith(STORAGE_PREFIX.volume)) {
+		const parsed = parseVolumeKey(key);
+		if (!parsed) return false;
+		table = getProfile(profiles.list, parsed.profileId).domainVolumes;
+		rule = parsed.rule;
+	} else if (key.startsWith(STORAGE_PREFIX.muted)) {
+		table = volumes.mutedDomains;
+		rule = key.slice(STORAGE_PREFIX.muted.length);
+	} else if (key.startsWith(STORAGE_PREFIX.settings)) {
+		table = settings.domains;
+		rule = key.slice(STORAGE_PREFIX.settings.length);
+	} else {
+		return false;
+	}
+
+	// Our own writes echo back unchanged
+	if (JSON.stringify(table[rule]) === JSON.stringify(value)) return false;
+
+	if (value === undefined) {
+		delete table[rule];
+	} else {
+		table[rule] = value;
+	}
+	return true;
+}
+
+/**
+ * Tab state (tab volumes, unlinks, mutes, solo, frames, ducking and private window
+ * volumes) only lives in memory,
+ * but the background is stopped when idle (it is a service worker in Chromium
+ * and an event page in Firefox). It is kept in storage.session, which lasts
+ * until the browser closes, and restored when the background starts again.
+ */
+let tabStateTimer = null;
+
+function saveTabState() {
+	clearTimeout(tabStateTimer);
+	tabStateTimer = setTimeout(() => {
+		const { tabs, unlinked, muted, soloTabId, frames, ducking, customIcons, privateDomains, privateMuted } = volumes;
+		const privateSettings = settings.privateDomains;
+		browser.storage.session.set({ tabState: { tabs, unlinked, muted, soloTabId, frames, ducking, customIcons, privateDomains, privateMuted, privateSettings } })
+			.catch(err => console.error('[Better Volume] Error saving tab state:', err));
+	}, 100);
+}
+
+function restoreTabState() {
+	return browser.storage.session.get("tabState")
+		.then(({ tabState }) => {
+			if (tabState) {
+				const { privateSettings, ...state } = tabState;
+				Object.assign(volumes, state);
+				settings.privateDomains = privateSettings || {};
+			}
+		})
+		.catch(err => console.error('[Better Volume] Error restoring tab state:', err));
+}
+
+// Load saved volumes and settings, and the tab state from before a restart.
+// Event listeners wait for this, since the event is often what started the background.
+const startup = Promise.all([
+	loadStorage().catch(err => console.error('[Better Volume] Error loading domain volumes:', err)),
+	restoreTabState()
+]);
+
+// Pick up changes made on other devices and update open tabs
+browser.storage.onChanged.addListener((changes, areaName) => {
+	if (areaName !== "sync") return;
+
+	startup.then(() => {
+		if (!storageState.syncEnabled) return;
+
+		let changed = false;
+		for (const key in changes) {
+			// A write we haven't flushed yet is newer than the incoming value
+			if (key in storageState.pending) continue;
+			if (applyStoredChange(key, changes[key].newValue)) {
+				changed = true;
+			}
+		}
+
+		if (changed) {
+			reapplyRulesToAllTabs();
+			updateScheduleAlarm();
+		}
+	});
+});
+
+// Strip the parts of a hostname that saved rules ignore
+function normalizeHost(hostname) {
+	return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Saved volumes are keyed by rule. A rule is one of:
+ * - "example.com"          exact host (www. is ignored)
+ * - "*.example.com"        the host and all of its subdomains
+ * - "example.com/podcasts" a host plus a path prefix
+ */
+function getRuleType(rule) {
+	if (rule.startsWith('*.')) return 'wildcard';
+	if (rule.includes('/')) return 'path';
+	return 'host';
+}
+
+// Check whether a rule applies to a URL
+function ruleMatchesUrl(rule, url) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch (e) {
+		return false;
+	}
+
+	const host = normalizeHost(parsed.hostname);
+	if (!host) return false;
+
+	switch (getRuleType(rule)) {
+		case 'wildcard': {
+			const base = rule.slice(2);
+			return host === base || host.endsWith(`.${base}`);
+		}
+		case 'path': {
+			const slash = rule.indexOf('/');
+			if (host !== rule.slice(0, slash)) return false;
+
+			// Match whole path segments so "/pod" doesn't match "/podcasts"
+			const prefix = rule.slice(slash).replace(/\/+$/, '');
+			return parsed.pathname === prefix || parsed.pathname.startsWith(`${prefix}/`);
+		}
+		default:
+			return host === rule;
+	}
+}
+
+// Higher scores win: path prefixes beat hosts, hosts beat wildcards
+function getRuleSpecificity(rule) {
+	switch (getRuleType(rule)) {
+		case 'path':
+			return 2000 + rule.length;
+		case 'host':
+			return 1000 + rule.length;
+		default:
+			return rule.length;
+	}
+}
+
+// Find the most specific rule in a table that applies to a URL
+function findMatchingRule(url, table = volumes.domains) {
+	if (!url) return null;
+
+	let best = null;
+	for (const rule in table) {
+		if (!ruleMatchesUrl(rule, url)) continue;
+		if (best === null || getRuleSpecificity(rule) > getRuleSpecificity(best)) {
+			best = rule;
+		}
+	}
+	return best;
+}
 
-// Extract domain from URL
-function getDomainFromUrl(url) {
+// Build the rule a URL would be saved under for the given rule type
+function getRuleForUrl(url, type = 'host') {
+	let parsed;
 	try {
-		const hostname = new URL(url).hostname;
-		return hostname.replace(/^www\./, '');
+		parsed = new URL(url);
 	} catch (e) {
 		return null;
 	}
+
+	const host = normalizeHost(parsed.hostname);
+	if (!host) return null;
+
+	if (type === 'wildcard') {
+		// IP addresses have no subdomains
+		if (/^[\d.]+$/.test(host) || host.startsWith('[')) return host;
+
+		// The whole host: dropping a label could leave a public suffix (bbc.co.uk -> *.co.uk)
+		return `*.${host}`;
+	}
+
+	if (type === 'path') {
+		const segment = parsed.pathname.split('/').filter(Boolean)[0];
+		return segment ? `${host}/${segment}` : host;
+	}
+
+	return host;
+}
+
+// List the rules a tab's volume could be saved under, most specific first
+function getRuleScopesForUrl(url) {
+	const scopes = [];
+	['path', 'host', 'wildcard'].forEach(type => {
+		const rule = getRuleForUrl(url, type);
+		if (rule && !scopes.some(scope => scope.rule === rule)) {
+			scopes.push({ type: getRuleType(rule), rule });
+		}
+	});
+	return scopes;
+}
+
+// Badge colors for linked, unlinked, scheduled and muted tabs
+const BADGE_COLOR = `rgb(0, 100, 255)`;
+const BADGE_COLOR_UNLINKED = `rgb(230, 120, 0)`;
+const BADGE_COLOR_SCHEDULED = `rgb(130, 60, 200)`;
+const BADGE_COLOR_MUTED = `rgb(120, 120, 120)`;
+
+// Badge colors by level (see getVolumeLevel), used instead when coloring by level
+const BADGE_LEVEL_COLORS = {
+	muted: BADGE_COLOR_MUTED,
+	reduced: `rgb(0, 150, 80)`,
+	normal: BADGE_COLOR,
+	boosted: `rgb(230, 160, 0)`,
+	clipping: `rgb(200, 0, 0)`
+};
+
+// Boosts from here up are likely to clip, even with the limiter
+const CLIPPING_RISK_VOLUME = 300;
+
+function getBadgeSettings() {
+	return { ...DEFAULT_GLOBAL_SETTINGS.badge, ...settings.global.badge };
+}
+
+// Describe how loud a tab plays, relative to the media's own level (100%)
+function getVolumeLevel(tab, volume) {
+	if (volume === 0) return "muted";
+	if (volume < 100) return "reduced";
+	if (volume === 100) return "normal";
+
+	const limiter = getSettingsForUrl(tab.url, tab.incognito).limiter;
+	return limiter.mode === "off" || volume >= CLIPPING_RISK_VOLUME ? "clipping" : "boosted";
+}
+
+// Update badge text for the active tab
+function updateBadgeText(tabId, volume, muted = false, scheduled = false, level = null) {
+	const badge = getBadgeSettings();
+	let text = volume != null ? `${volume}` : "";
+	if (badge.hideDefault && !scheduled && (volume == null || volume === getDefaultVolume())) {
+		text = "";
+	}
+
+	let color = badge.colorByLevel && level ? BADGE_LEVEL_COLORS[level] : BADGE_COLOR;
+	// Unlinked and scheduled tabs keep their own colors ahead of the level's
+	if (volumes.unlinked[tabId]) {
+		color = BADGE_COLOR_UNLINKED;
+	}
+	if (scheduled) {
+		color = BADGE_COLOR_SCHEDULED;
+	}
+	if (muted) {
+		text = "M";
+		color = BADGE_COLOR_MUTED;
+	}
+
+	browser.action.setBadgeText({
+		text: text,
+		tabId: tabId
+	}).catch(() => {/* Tab may already be closed */});
+	browser.action.setBadgeBackgroundColor({
+		color: color,
+		tabId: tabId
+	}).catch(() => {/* Tab may already be closed */});
+}
+
+// Check whether a tab is silenced by a tab mute, a rule mute or another tab's solo
+function isTabMuted(tab) {
+	if (volumes.muted[tab.id]) return true;
+	if (volumes.soloTabId !== null && volumes.soloTabId !== tab.id) return true;
+
+	// Unlinked tabs ignore their rule, including its mute
+	if (volumes.unlinked[tab.id]) return false;
+	return findMatchingRule(tab.url, getMuteTable(tab)) !== null;
+}
+
+// Work out a tab's volume with any active schedule applied, and the schedule if it changed it
+function getScheduledVolume(tab) {
+	const volume = volumes.tabs[tab.id] ?? getDefaultVolume();
+	const schedule = getActiveSchedule(tab.url);
+	if (!schedule) return { volume, schedule: null };
+
+	const scheduled = schedule.mode === "set" ? schedule.volume : Math.min(volume, schedule.volume);
+	return { volume: scheduled, schedule: scheduled !== volume ? schedule : null };
+}
+
+// Work out the volume a tab should actually play at
+function getEffectiveVolume(tab) {
+	if (isTabMuted(tab)) return 0;
+
+	const volume = getScheduledVolume(tab).volume;
+	if (!isTabDucked(tab)) return volume;
+	return Math.round(volume * (100 - getDuckingSettings().amount) / 100);
+}
+
+// Refresh a tab's badge and icon, showing the scheduled volume while a schedule changes it
+function updateTabBadge(tab) {
+	const { volume, schedule } = getScheduledVolume(tab);
+	const level = getVolumeLevel(tab, getEffectiveVolume(tab));
+	updateBadgeText(tab.id, schedule ? volume : volumes.tabs[tab.id], isTabMuted(tab), schedule !== null, level);
+	updateTabIcon(tab.id, level);
+
+	// Chromium can't update menus as they open, so keep them current for the active tab
+	if (tab.active) {
+		updateFocusedMenuChecks(tab.id);
+	}
+}
+
+// Refresh the badge and icon of every tab, e.g. after the badge settings change
+function updateAllBadges() {
+	return browser.tabs.query({})
+		.then(tabs => tabs.forEach(updateTabBadge))
+		.catch(err => console.error('[Better Volume] Error querying tabs:', err));
+}
+
+/**
+ * Dynamic toolbar icon. The packaged icon is redrawn with a slash when a tab is
+ * muted, and an arrow in the badge's boost colors when it is boosted. Each drawn
+ * icon is kept, so it is only drawn once per state. Tabs showing one are kept in
+ * the tab state, so the packaged icon is still put back after a restart.
+ */
+const ICON_STATES = ["muted", "boosted", "clipping"];
+const ICON_SIZES = [16, 32];
+const iconImages = {};          // State -> promise of { size -> ImageData }
+
+function drawIcon(state) {
+	if (!iconImages[state]) {
+		iconImages[state] = fetch(browser.runtime.getURL("icons/icon_64.png"))
+			.then(response => response.blob())
+			.then(blob => createImageBitmap(blob))
+			.then(bitmap => {
+				const images = {};
+				ICON_SIZES.forEach(size => {
+					const canvas = new OffscreenCanvas(size, size);
+					const context = canvas.getContext("2d");
+
+					// Muted: faded, with a slash across
+					if (state === "muted") {
+						context.globalAlpha = 0.4;
+						context.drawImage(bitmap, 0, 0, size, size);
+						context.globalAlpha = 1;
+						context.strokeStyle = BADGE_LEVEL_COLORS.clipping;
+						context.lineWidth = size / 8;
+						context.beginPath();
+						context.moveTo(size * 0.15, size * 0.15);
+						context.lineTo(size * 0.85, size * 0.85);
+						context.stroke();
+					} else {
+						// Boosted: an arrow in the top left, clear of the badge
+						context.drawImage(bitmap, 0, 0, size, size);
+						context.fillStyle = BADGE_LEVEL_COLORS[state];
+						context.beginPath();
+						context.moveTo(size * 0.2, 0);
+						context.lineTo(size * 0.4, size * 0.35);
+						context.lineTo(0, size * 0.35);
+						context.closePath();
+						context.fill();
+					}
+					images[size] = context.getImageData(0, 0, size, size);
+				});
+				return images;
+			});
+
+		// Try again next time if drawing failed
+		iconImages[state].catch(() => delete iconImages[state]);
+	}
+	return iconImages[state];
+}
+
+// Show the icon for a tab's level, or put the packaged icon back
+function updateTabIcon(tabId, level) {
+	const state = getBadgeSettings().dynamicIcon && ICON_STATES.includes(level) ? level : null;
+	if (state === null) {
+		if (!volumes.customIcons[tabId]) return;
+
+		delete volumes.customIcons[tabId];
+		saveTabState();
+		browser.action.setIcon({ tabId, path: browser.runtime.getManifest().action.default_icon })
+			.catch(() => {/* Tab may already be closed */});
+		return;
+	}
+
+	if (!volumes.customIcons[tabId]) {
+		volumes.customIcons[tabId] = true;
+		saveTabState();
+	}
+	drawIcon(state)
+		.then(imageData => browser.action.setIcon({ tabId, imageData }))
+		.catch(() => {/* Tab may already be closed */});
+}
+
+// Send a message to every registered frame of a tab, or broadcast if none have registered
+function sendToTabFrames(tabId, message) {
+	const frames = volumes.frames[tabId];
+	const frameIds = Object.keys(frames || {}).map(Number);
+	if (frameIds.length === 0) {
+		return browser.tabs.sendMessage(tabId, message);
+	}
+
+	return Promise.all(frameIds.map(frameId =>
+		browser.tabs.sendMessage(tabId, message, { frameId })
+			.catch(() => {
+				// The frame navigated or was removed; it registers again if it loads a page we run in
+				delete frames[frameId];
+				saveTabState();
+			})
+	));
+}
+
+// Send a tab its effective volume and refresh its badge, optionally with its own ramp
+function applyVolumeToTab(tabId, ramp) {
+	saveTabState();
+	return browser.tabs.get(tabId)
+		.then(tab => {
+			updateTabBadge(tab);
+
+			return sendToTabFrames(tabId, {
+				command: "apply_volume",
+				volume: getEffectiveVolume(tab),
+				ramp: ramp
+			});
+		})
+		.catch(() => {
+			// Tab might not have content script loaded, which is expected
+		});
 }
 
-// Update badge text for the active tab
-function updateBadgeText(tabId, volume) {
-	browser.browserAction.setBadgeText({
-		text: volume != null ? `${volume}` : "",
-		tabId: tabId
-	});
+// Set tab volume and propagate to domain if needed
+function setTabVolume(tabId, volume, options = {}) {
+	// Default options
+	const opts = {
+		propagateToDomain: true,
+		updateTab: true,
+		...options
+	};
+
+	// Unlinked tabs keep their volume to themselves
+	if (volumes.unlinked[tabId]) {
+		opts.propagateToDomain = false;
+	}
+
+	// Store in our tabs object
+	volumes.tabs[tabId] = volume;
+	saveTabState();
+
+	// Apply volume to the tab if needed, otherwise just update the badge
+	if (opts.updateTab) {
+		applyVolumeToTab(tabId);
+	} else {
+		browser.tabs.get(tabId)
+			.then(tab => updateTabBadge(tab))
+			.catch(() => {/* Tab may already be closed */});
+	}
+
+	// Get tab info to propagate to domain if needed
+	if (opts.propagateToDomain) {
+		browser.tabs.get(tabId)
+			.then(tab => {
+				if (tab.url) {
+					// Save under the requested rule, else whichever rule already applies
+					const rule = opts.rule || findMatchingRule(tab.url, getVolumeTable(tab)) || getRuleForUrl(tab.url);
+					if (rule) {
+						propagateVolumeToDomain(rule, volume, tabId, false, tab.incognito);
+					}
+				}
+			})
+			.catch(err => {
+				console.error('[Better Volume] Error getting tab info:', err);
+			});
+	}
+}
+
+// Propagate volume to tabs whose most specific rule is the given one.
+// Volumes from private windows stay in memory and only reach normal tabs if sharing is on.
+function propagateVolumeToDomain(rule, volume, sourceTabId, deleteVolume = false, incognito = false) {
+	if (!rule) return;
+
+	const { share } = getPrivateSettings();
+	if (incognito) {
+		volumes.privateDomains[rule] = volume;
+		saveTabState();
+	} else {
+		// Store in domains object
+		volumes.domains[rule] = volume;
+
+		// Save to storage
+		if (!deleteVolume) {
+			saveRuleVolume(rule);
+		}
+
+		// Keep a private override from hiding a shared change
+		if (share && rule in volumes.privateDomains) {
+			volumes.privateDomains[rule] = volume;
+			saveTabState();
+		}
+	}
+
+	// Find all tabs with the same domain and update them
+	browser.tabs.query({})
+		.then(tabs => {
+			// Batch updates to avoid overwhelming the browser
+			const sameDomainTabs = tabs.filter(tab => {
+				if (!tab.url) return false;
+				if (tab.id === sourceTabId) return false; // Skip source tab
+				if (volumes.unlinked[tab.id]) return false;
+				if (!share && !!tab.incognito !== incognito) return false;
+
+				// A more specific rule takes precedence over this one
+				return findMatchingRule(tab.url, getVolumeTable(tab)) === rule;
+			});
+
+			if (sameDomainTabs.length === 0) return;
+
+			console.log(`[Better Volume] Updating ${sameDomainTabs.length} tabs with rule ${rule}`);
+
+			// Process tabs in small batches
+			const batchSize = 3;
+			let currentBatch = 0;
+
+			function processBatch() {
+				const startIdx = currentBatch * batchSize;
+				const endIdx = Math.min(startIdx + batchSize, sameDomainTabs.length);
+				const currentTabs = sameDomainTabs.slice(startIdx, endIdx);
+
+				currentTabs.forEach(tab => {
+					// Set volume for this tab but don't re-propagate to domain
+					setTabVolume(tab.id, volume, { propagateToDomain: false });
+				});
+
+				// Process next batch if needed
+				currentBatch++;
+				if (currentBatch * batchSize < sameDomainTabs.length) {
+					setTimeout(processBatch, 100);
+				}
+			}
+
+			processBatch();
+		})
+		.catch(err => console.error('[Better Volume] Error querying tabs:', err));
+}
+
+// Get the volume for a tab, defaulting to domain volume if available
+function getVolumeForTab(tab) {
+	// Check tab-specific volume first
+	if (volumes.tabs[tab.id] !== undefined) {
+		return volumes.tabs[tab.id];
+	}
+
+	// Check the most specific matching rule if we have a URL
+	const table = getVolumeTable(tab);
+	const rule = findMatchingRule(tab.url, table);
+	if (rule) {
+		// Store for next time
+		volumes.tabs[tab.id] = table[rule];
+		return table[rule];
+	}
+
+	// Fall back to the configured default
+	return getDefaultVolume();
+}
+
+// Unsaved sites only get a rule automatically if auto save is on
+function shouldSaveTabVolume(tab) {
+	return findMatchingRule(tab.url, getVolumeTable(tab)) !== null || getGeneralSettings().autoSave;
+}
+
+/**
+ * Private windows. Volumes, rule mutes and site settings changed in them are kept
+ * in memory (volumes.privateDomains, volumes.privateMuted, settings.privateDomains),
+ * surviving background restarts only through storage.session, and are cleared when
+ * the last private window closes. They can start from the saved ones (seed), and
+ * volume changes can be shared with normal tabs of the same rule (share), which
+ * still doesn't save private changes.
+ */
+function getPrivateSettings() {
+	return { ...DEFAULT_GLOBAL_SETTINGS.private, ...settings.global.private };
+}
+
+// The rule volumes a tab follows
+function getVolumeTable(tab) {
+	if (!tab.incognito) return volumes.domains;
+	return getPrivateSettings().seed ? { ...volumes.domains, ...volumes.privateDomains } : volumes.privateDomains;
+}
+
+// The rule volumes a tab's own changes go to, and can be reset in
+function getOwnVolumeTable(tab) {
+	return tab.incognito ? volumes.privateDomains : volumes.domains;
+}
+
+// The rule mutes a tab follows; private windows' own mutes go on top, where false unmutes a saved rule
+function getMuteTable(tab) {
+	if (!tab.incognito) return volumes.mutedDomains;
+
+	const table = getPrivateSettings().seed ? { ...volumes.mutedDomains, ...volumes.privateMuted } : { ...volumes.privateMuted };
+	for (const rule in table) {
+		if (!table[rule]) delete table[rule];
+	}
+	return table;
+}
+
+// The site setting overrides tabs follow, the same way as getVolumeTable
+function getSettingsTable(incognito) {
+	if (!incognito) return settings.domains;
+	return getPrivateSettings().seed ? { ...settings.domains, ...settings.privateDomains } : settings.privateDomains;
+}
+
+// Forget private window volumes, mutes and settings once no private windows are left
+function clearPrivateVolumes() {
+	return browser.windows.getAll()
+		.then(windows => {
+			if (windows.some(window => window.incognito)) return;
+
+			volumes.privateDomains = {};
+			volumes.privateMuted = {};
+			settings.privateDomains = {};
+			saveTabState();
+		})
+		.catch(err => console.error('[Better Volume] Error listing windows:', err));
+}
+
+// Global settings that aren't about audio processing
+function getGeneralSettings() {
+	return { ...DEFAULT_GLOBAL_SETTINGS.general, ...settings.global.general };
+}
+
+// Volume for tabs that no saved rule applies to
+function getDefaultVolume() {
+	return profiles.list[profiles.active].defaultVolume;
+}
+
+function createProfileEntry(name, defaultVolume = 100, domainVolumes = {}) {
+	return { name, defaultVolume, domainVolumes };
+}
+
+// Get a profile from a list, creating it (from stored metadata if given) when missing
+function getProfile(list, profileId, metadata = {}) {
+	if (!list[profileId]) {
+		const fallbackName = profileId === DEFAULT_PROFILE_ID ? "Default" : profileId;
+		list[profileId] = createProfileEntry(metadata.name || fallbackName, metadata.defaultVolume ?? 100);
+	}
+	return list[profileId];
+}
+
+// Profile names and default volumes, without their volumes (which are stored per rule)
+function getProfileMetadata(list) {
+	const metadata = {};
+	for (const profileId in list) {
+		metadata[profileId] = { name: list[profileId].name, defaultVolume: list[profileId].defaultVolume };
+	}
+	return metadata;
+}
+
+// Take names and default volumes from another device, dropping profiles it deleted
+function applyProfileMetadata(metadata) {
+	for (const profileId in profiles.list) {
+		if (!metadata[profileId] && profileId !== DEFAULT_PROFILE_ID) {
+			delete profiles.list[profileId];
+		}
+	}
+	for (const profileId in metadata) {
+		Object.assign(getProfile(profiles.list, profileId), metadata[profileId]);
+	}
+	setActiveProfile(profiles.active);
+}
+
+// Merge other profiles (from sync or an import) over ours, rule by rule
+function mergeProfiles(list) {
+	for (const profileId in list) {
+		const profile = getProfile(profiles.list, profileId);
+		profile.name = list[profileId].name;
+		profile.defaultVolume = list[profileId].defaultVolume;
+		Object.assign(profile.domainVolumes, list[profileId].domainVolumes);
+	}
+}
+
+// Point volumes.domains at a profile's volumes, falling back to the default profile
+function setActiveProfile(profileId) {
+	profiles.active = profiles.list[profileId] ? profileId : DEFAULT_PROFILE_ID;
+	volumes.domains = getProfile(profiles.list, profiles.active).domainVolumes;
+}
+
+// Switch this device to another profile and move open tabs to its volumes
+function switchProfile(profileId) {
+	if (!profiles.list[profileId]) return Promise.reject(new Error("Unknown profile"));
+
+	setActiveProfile(profileId);
+	return browser.storage.local.set({ activeProfile: profiles.active })
+		.then(() => reapplyRulesToAllTabs());
+}
+
+// Add a profile, starting from a copy of the active one's volumes
+function createProfile(name) {
+	const profileId = createId();
+	const current = profiles.list[profiles.active];
+	profiles.list[profileId] = createProfileEntry(name, current.defaultVolume, { ...current.domainVolumes });
+
+	saveProfiles();
+	for (const rule in current.domainVolumes) {
+		queueStorageWrite(getVolumeKey(profileId, rule), current.domainVolumes[rule]);
+	}
+	return flushStorageWrites().then(() => profileId);
+}
+
+function renameProfile(profileId, name) {
+	if (!profiles.list[profileId]) return Promise.reject(new Error("Unknown profile"));
+
+	profiles.list[profileId].name = name;
+	saveProfiles();
+	return flushStorageWrites();
+}
+
+// Remove a profile and its volumes; the default profile can't be removed
+function deleteProfile(profileId) {
+	if (profileId === DEFAULT_PROFILE_ID || !profiles.list[profileId]) {
+		return Promise.reject(new Error("This profile can't be deleted"));
+	}
+
+	for (const rule in profiles.list[profileId].domainVolumes) {
+		queueStorageWrite(getVolumeKey(profileId, rule), undefined);
+	}
+	delete profiles.list[profileId];
+	saveProfiles();
+
+	const switched = profiles.active === profileId ? switchProfile(DEFAULT_PROFILE_ID) : Promise.resolve();
+	return switched.then(() => flushStorageWrites());
+}
+
+// Describe profiles for the popup
+function getProfileList() {
+	return Object.keys(profiles.list).map(profileId => ({
+		id: profileId,
+		name: profiles.list[profileId].name,
+		defaultVolume: profiles.list[profileId].defaultVolume,
+		count: Object.keys(profiles.list[profileId].domainVolumes).length
+	}));
+}
+
+// Slider scale shared with popup/popup.js: 1% steps up to 10%, then 10% steps up to 600%
+const MAX_STEP = 69;
+
+function stepToPercent(raw) {
+	if (raw > 10) {
+		return (raw - 9) * 10;
+	}
+	return raw;
+}
+
+function percentToStep(percent) {
+	if (percent > 10) {
+		return percent / 10 + 9;
+	}
+	return percent;
+}
+
+// Move a volume one slider step up or down, snapping off-scale values onto the scale
+function stepVolume(volume, direction) {
+	const step = percentToStep(volume);
+	const next = direction > 0 ? Math.floor(step) + 1 : Math.ceil(step) - 1;
+	return stepToPercent(Math.max(0, Math.min(MAX_STEP, next)));
+}
+
+/**
+ * Schedules change volumes by time of day, e.g. quiet hours. Each one is
+ * { id, enabled, rule, days, start, end, mode, volume }:
+ * - rule: null for every site, else a saved-volume style rule
+ * - days: days of the week it starts on (0 = Sunday), empty for every day
+ * - start, end: "HH:MM" local time; an end before the start runs overnight
+ * - mode: "cap" limits volumes to `volume`, "set" plays at `volume` instead
+ */
+const SCHEDULE_ALARM = "schedule-boundary";
+const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Minutes since midnight for an "HH:MM" time
+function parseScheduleTime(time) {
+	const [hours, minutes] = time.split(":").map(Number);
+	return hours * 60 + minutes;
+}
+
+// Check whether a schedule is in effect at a time. Overnight schedules belong to the day they start on.
+function isScheduleActive(schedule, date = new Date()) {
+	if (!schedule.enabled) return false;
+
+	const start = parseScheduleTime(schedule.start);
+	const end = parseScheduleTime(schedule.end);
+	const minutes = date.getHours() * 60 + date.getMinutes();
+	const today = date.getDay();
+	const onDay = day => schedule.days.length === 0 || schedule.days.includes(day);
+
+	if (start === end) return onDay(today);  // All day
+	if (start < end) return onDay(today) && minutes >= start && minutes < end;
+	return (onDay(today) && minutes >= start) || (onDay((today + 6) % 7) && minutes < end);
+}
+
+// Find the schedule in effect for a URL; site schedules beat ones for every site
+function getActiveSchedule(url, date = new Date()) {
+	let best = null;
+	for (const schedule of settings.schedules) {
+		if (!isScheduleActive(schedule, date)) continue;
+		if (schedule.rule !== null && !ruleMatchesUrl(schedule.rule, url)) continue;
+
+		const specificity = schedule.rule === null ? -1 : getRuleSpecificity(schedule.rule);
+		if (best === null || specificity > best.specificity) {
+			best = { schedule, specificity };
+		}
+	}
+	return best && best.schedule;
+}
+
+// Wake up at the next start or end of any schedule so open tabs pick up the change
+function updateScheduleAlarm() {
+	const now = new Date();
+	let next = null;
+	settings.schedules.filter(schedule => schedule.enabled).forEach(schedule => {
+		[schedule.start, schedule.end].forEach(time => {
+			const minutes = parseScheduleTime(time);
+			const boundary = new Date(now);
+			boundary.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+			if (boundary <= now) {
+				boundary.setDate(boundary.getDate() + 1);
+			}
+			if (next === null || boundary < next) {
+				next = boundary;
+			}
+		});
+	});
+
+	if (next === null) {
+		browser.alarms.clear(SCHEDULE_ALARM);
+	} else {
+		browser.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+	}
+}
+
+// Validate a schedule from the popup or an import; returns null if it can't be used
+function sanitizeSchedule(schedule) {
+	if (!isPlainObject(schedule)) return null;
+	if (!SCHEDULE_TIME_PATTERN.test(schedule.start) || !SCHEDULE_TIME_PATTERN.test(schedule.end)) return null;
+	if (schedule.rule != null && !(typeof schedule.rule === "string" && isValidRule(schedule.rule))) return null;
+	if (!Number.isFinite(schedule.volume)) return null;
+
+	const days = Array.isArray(schedule.days) ? schedule.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6) : [];
+	return {
+		id: typeof schedule.id === "string" && schedule.id ? schedule.id : createId(),
+		enabled: schedule.enabled !== false,
+		rule: schedule.rule ? schedule.rule.toLowerCase() : null,
+		days: [...new Set(days)].sort(),
+		start: schedule.start,
+		end: schedule.end,
+		mode: schedule.mode === "set" ? "set" : "cap",
+		volume: clampVolume(schedule.volume)
+	};
+}
+
+// Add or replace (by id) a schedule, or remove one, then re-apply volumes
+function saveSchedule(schedule) {
+	const index = settings.schedules.findIndex(existing => existing.id === schedule.id);
+	if (index === -1) {
+		settings.schedules.push(schedule);
+	} else {
+		settings.schedules[index] = schedule;
+	}
+	return applySchedules();
+}
+
+function deleteSchedule(id) {
+	settings.schedules = settings.schedules.filter(schedule => schedule.id !== id);
+	return applySchedules();
+}
+
+function applySchedules() {
+	updateScheduleAlarm();
+	applyVolumeToAllTabs();
+	saveSchedules();
+	return flushStorageWrites();
+}
+
+/**
+ * Ducking. While a tab on one of the priority rules (e.g. a meeting) plays audio,
+ * every other tab plays lower, and fades back when the last one goes quiet.
+ * Like mutes and schedules it only changes what is sent to the page, never the
+ * saved tab or rule volumes.
+ */
+function getDuckingSettings() {
+	return { ...DEFAULT_GLOBAL_SETTINGS.ducking, ...settings.global.ducking };
+}
+
+function isPriorityTab(tab) {
+	return !!tab.url && getDuckingSettings().rules.some(rule => ruleMatchesUrl(rule, tab.url));
+}
+
+function isDuckingActive() {
+	return getDuckingSettings().enabled && Object.keys(volumes.ducking).length > 0;
+}
+
+// Priority tabs are never ducked, even by each other
+function isTabDucked(tab) {
+	return isDuckingActive() && !isPriorityTab(tab);
+}
+
+// Record whether a tab is a priority tab playing audio, ducking or restoring the others when that starts or stops
+function setDuckingSource(tabId, playing) {
+	if (!!volumes.ducking[tabId] === playing) return;
+
+	const wasActive = isDuckingActive();
+	if (playing) {
+		volumes.ducking[tabId] = true;
+	} else {
+		delete volumes.ducking[tabId];
+	}
+	saveTabState();
+
+	const active = isDuckingActive();
+	if (active !== wasActive) {
+		// Duck with the usual ramp, but restore with the ducking fade
+		applyVolumeToAllTabs(active ? undefined : { curve: "linear", duration: getDuckingSettings().fade });
+	}
+}
+
+// Find the priority tabs playing audio again, e.g. after the ducking settings change
+function refreshDucking() {
+	return browser.tabs.query({ audible: true })
+		.then(tabs => {
+			volumes.ducking = {};
+			tabs.filter(isPriorityTab).forEach(tab => volumes.ducking[tab.id] = true);
+			return applyVolumeToAllTabs({ curve: "linear", duration: getDuckingSettings().fade });
+		})
+		.catch(err => console.error('[Better Volume] Error querying tabs:', err));
+}
+
+// Check a ducking change from the popup, returning the settings to save or an error
+function sanitizeDucking(value) {
+	const rules = Array.isArray(value?.rules)
+		? value.rules.map(rule => String(rule).trim().toLowerCase()).filter(Boolean)
+		: [];
+	const invalid = rules.find(rule => !isValidRule(rule));
+	if (invalid) return { error: `"${invalid}" is not a site` };
+
+	// Numbers from the popup are clamped to the limits the sanitizer checks, rather than reset to the defaults
+	const limits = SETTING_LIMITS.ducking;
+	const clamp = (number, limit) => Number.isFinite(number) ? Math.round(Math.max(limit.min, Math.min(limit.max, number))) : number;
+	const ducking = {
+		...value,
+		rules: [...new Set(rules)],
+		amount: clamp(value?.amount, limits.amount),
+		fade: clamp(value?.fade, limits.fade)
+	};
+	return { ducking: sanitizeSettings({ ducking }, DEFAULT_GLOBAL_SETTINGS).ducking };
+}
+
+// Merge defaults, global settings and the most specific rule's overrides for a URL (processing settings only)
+function getSettingsForUrl(url, incognito = false) {
+	const table = getSettingsTable(incognito);
+	const rule = findMatchingRule(url, table);
+	const overrides = { ...settings.global, ...(rule ? table[rule] : {}) };
+	const result = {};
+	for (const key in DEFAULT_SETTINGS) {
+		result[key] = overrides[key] ?? DEFAULT_SETTINGS[key];
+	}
+	return result;
+}
+
+// List the setting keys a URL overrides with its own rule
+function getSettingOverridesForUrl(url, incognito = false) {
+	const table = getSettingsTable(incognito);
+	const rule = findMatchingRule(url, table);
+	return rule ? Object.keys(table[rule]) : [];
+}
+
+// Send a tab its processing settings
+function applySettingsToTab(tabId) {
+	return browser.tabs.get(tabId)
+		.then(tab => sendToTabFrames(tabId, {
+			command: "apply_audio_settings",
+			settings: getSettingsForUrl(tab.url, tab.incognito)
+		}))
+		.catch(() => {
+			// Tab might not have content script loaded, which is expected
+		});
+}
+
+// Send every tab its processing settings
+function applySettingsToAllTabs() {
+	return browser.tabs.query({})
+		.then(tabs => tabs.forEach(tab => applySettingsToTab(tab.id)))
+		.catch(err => console.error('[Better Volume] Error querying tabs:', err));
+}
+
+/**
+ * Save one setting globally or for the rule that applies to a tab.
+ * A null value removes the site override so the global setting applies again.
+ * Global settings can be saved without a tab.
+ */
+function saveSetting(tab, key, value, scope = "site") {
+	if (scope === "global") {
+		settings.global[key] = value;
+
+		// Making a value the default replaces this site's own value
+		scope = "site";
+		value = null;
+	}
+
+	// Site settings reuse whichever rule already covers the tab
+	const table = tab && getSettingsTable(tab.incognito);
+	const rule = tab && (findMatchingRule(tab.url, table) || findMatchingRule(tab.url, getVolumeTable(tab)) || getRuleForUrl(tab.url));
+	if (rule) {
+		const overrides = { ...table[rule] };
+		if (value === null) {
+			delete overrides[key];
+		} else {
+			overrides[key] = value;
+		}
+
+		// Private windows keep an empty entry for a saved rule, so it stays overridden
+		const own = tab.incognito ? settings.privateDomains : settings.domains;
+		if (Object.keys(overrides).length > 0 || (tab.incognito && rule in settings.domains)) {
+			own[rule] = overrides;
+		} else {
+			delete own[rule];
+		}
+	}
+
+	applySettingsToAllTabs();
+
+	saveGlobalSettings();
+	if (rule && tab.incognito) {
+		saveTabState();
+	} else if (rule) {
+		saveRuleSettings(rule);
+	}
+	return flushStorageWrites();
+}
+
+// Check if volume control is available for a tab
+async function isVolumeControlAvailable(tabId) {
+	try {
+		const response = await browser.tabs.sendMessage(tabId, { command: "check_availability" }, { frameId: 0 });
+		return response && response.available === true;
+	} catch (error) {
+		return false;
+	}
+}
+
+// Check whether any frame had to fall back to element volume, which can't boost past 100%
+function isTabDegraded(tabId) {
+	return sendToTabFrames(tabId, { command: "check_availability" })
+		.then(responses => [].concat(responses).some(response => response && response.degraded))
+		.catch(() => false);
+}
+
+// List controllable media in every frame of a tab, tagged with the frame it is in
+function getTabMedia(tabId) {
+	const frameIds = Object.keys(volumes.frames[tabId] || { 0: true }).map(Number);
+	return Promise.all(frameIds.map(frameId =>
+		browser.tabs.sendMessage(tabId, { command: "list_media" }, { frameId })
+			.then(response => (response ? response.elements : []).map(element => ({ ...element, frameId })))
+			.catch(() => [])
+	)).then(lists => lists.flat());
+}
+
+// Measure a tab's output levels for the popup's meter, taking the loudest of its frames
+function getTabLevels(tabId) {
+	const frameIds = Object.keys(volumes.frames[tabId] || { 0: true }).map(Number);
+	return Promise.all(frameIds.map(frameId =>
+		browser.tabs.sendMessage(tabId, { command: "get_levels" }, { frameId })
+			.then(response => response ? response.levels : null)
+			.catch(() => null)
+	)).then(mergeLevels);
+}
+
+// Remove a saved rule (or a private window's one) and fall back to the next matching rule (or the default) for its tabs
+function resetDomainVolume(rule, incognito = false) {
+	if (incognito) {
+		delete volumes.privateDomains[rule];
+		saveTabState();
+	} else {
+		// Remove the rule from storage
+		delete volumes.domains[rule];
+		saveRuleVolume(rule);
+	}
+	
+	// Find all tabs the rule applied to and re-resolve their volume
+	return browser.tabs.query({})
+		.then(tabs => {
+			const affectedTabs = tabs.filter(tab => {
+				if (!tab.url) return false;
+				if (volumes.unlinked[tab.id]) return false;
+				if (!getPrivateSettings().share && !!tab.incognito !== incognito) return false;
+				return ruleMatchesUrl(rule, tab.url);
+			});
+			
+			// Process each affected tab
+			affectedTabs.forEach(tab => {
+				// A less specific rule may still apply
+				const table = getVolumeTable(tab);
+				const fallbackRule = findMatchingRule(tab.url, table);
+				if (fallbackRule) {
+					setTabVolume(tab.id, table[fallbackRule], { propagateToDomain: false });
+					return;
+				}
+
+				// Clear tracking, then reset volume to the default and clear the badge
+				delete volumes.tabs[tab.id];
+				applyVolumeToTab(tab.id);
+			});
+			
+			console.log(`[Better Volume] Reset ${affectedTabs.length} tabs for rule ${rule}`);
+		})
+		.catch(err => console.error('[Better Volume] Error finding tabs for rule:', err));
+}
+
+// Detach a tab from its rule, or relink it and snap back to the rule's volume
+function setTabLinked(tabId, linked) {
+	if (!linked) {
+		volumes.unlinked[tabId] = true;
+		applyVolumeToTab(tabId);
+		return Promise.resolve(volumes.tabs[tabId] ?? getDefaultVolume());
+	}
+
+	delete volumes.unlinked[tabId];
+	return browser.tabs.get(tabId)
+		.then(tab => {
+			const table = getVolumeTable(tab);
+			const rule = findMatchingRule(tab.url, table);
+			const volume = rule ? table[rule] : getDefaultVolume();
+			setTabVolume(tabId, volume, { propagateToDomain: false });
+			return volume;
+		});
+}
+
+// Re-send effective volumes to every tab (tabs without a content script ignore it)
+function applyVolumeToAllTabs(ramp) {
+	return browser.tabs.query({})
+		.then(tabs => tabs.forEach(tab => applyVolumeToTab(tab.id, ramp)))
+		.catch(err => console.error('[Better Volume] Error querying tabs:', err));
+}
+
+// Describe the mute state of a tab for the popup
+function getMuteState(tab) {
+	return {
+		tab: !!volumes.muted[tab.id],
+		domain: findMatchingRule(tab.url, getMuteTable(tab)) !== null,
+		solo: volumes.soloTabId === tab.id,
+		muted: isTabMuted(tab)
+	};
+}
+
+// Mute or unmute a single tab, keeping its volume for when it is unmuted
+function toggleTabMute(tabId) {
+	if (volumes.muted[tabId]) {
+		delete volumes.muted[tabId];
+	} else {
+		volumes.muted[tabId] = true;
+	}
+	return applyVolumeToTab(tabId);
+}
+
+// Mute or unmute every tab matched by the rule that applies to a tab
+function toggleDomainMute(tab) {
+	let rule = findMatchingRule(tab.url, getMuteTable(tab));
+	const muted = !rule;
+	if (muted) {
+		rule = findMatchingRule(tab.url, getVolumeTable(tab)) || getRuleForUrl(tab.url);
+		if (!rule) return Promise.resolve();
+	}
+
+	if (tab.incognito) {
+		// Unmuting a saved rule is remembered as false, so the saved mute stays as it is
+		if (muted || rule in volumes.mutedDomains) {
+			volumes.privateMuted[rule] = muted;
+		} else {
+			delete volumes.privateMuted[rule];
+		}
+		saveTabState();
+	} else {
+		if (muted) {
+			volumes.mutedDomains[rule] = true;
+		} else {
+			delete volumes.mutedDomains[rule];
+		}
+		saveRuleMute(rule);
+	}
+
+	applyVolumeToAllTabs();
+	return Promise.resolve();
+}
+
+// List tabs for the popup mixer: those playing audio, muted, or away from the default volume
+function getMixerTabs() {
+	return browser.tabs.query({})
+		.then(tabs => tabs
+			.filter(tab => tab.audible || volumes.muted[tab.id] || volumes.soloTabId === tab.id ||
+				(volumes.tabs[tab.id] !== undefined && volumes.tabs[tab.id] !== getDefaultVolume()))
+			.map(tab => ({
+				id: tab.id,
+				windowId: tab.windowId,
+				title: tab.title || tab.url,
+				favIconUrl: tab.favIconUrl || null,
+				audible: !!tab.audible,
+				volume: volumes.tabs[tab.id] ?? getDefaultVolume(),
+				mute: getMuteState(tab)
+			})));
+}
+
+// Make a tab the only audible one, or end the solo and restore the others
+function toggleSolo(tabId) {
+	volumes.soloTabId = volumes.soloTabId === tabId ? null : tabId;
+	saveTabState();
+	applyVolumeToAllTabs();
+}
+
+// Re-resolve every linked tab against the saved rules, e.g. after an import
+function reapplyRulesToAllTabs() {
+	return browser.tabs.query({})
+		.then(tabs => tabs.forEach(tab => {
+			applySettingsToTab(tab.id);
+
+			const table = getVolumeTable(tab);
+			const rule = volumes.unlinked[tab.id] ? null : findMatchingRule(tab.url, table);
+			if (rule) {
+				setTabVolume(tab.id, table[rule], { propagateToDomain: false });
+				return;
+			}
+
+			// Tabs without a rule go back to the default, unlinked tabs keep their own volume
+			if (!volumes.unlinked[tab.id]) {
+				delete volumes.tabs[tab.id];
+			}
+			applyVolumeToTab(tab.id);
+		}))
+		.catch(err => console.error('[Better Volume] Error querying tabs:', err));
+}
+
+// Identifies files written by export, and the newest layout this version reads
+const EXPORT_FORMAT = "better-volume";
+const EXPORT_VERSION = 2;
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Short random ID for schedules and profiles
+function createId() {
+	return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Check a key has the shape of a host, wildcard or path rule (wildcards never have a path)
+function isValidRule(rule) {
+	return /^\*\.[a-z0-9.\-]+$/i.test(rule) || /^[a-z0-9.\-]+(\/\S*)?$/i.test(rule) || /^\[[0-9a-f:.]+\]$/i.test(rule);
+}
+
+// Clamp a volume to the 0-600% range the slider supports
+function clampVolume(volume) {
+	return Math.round(Math.max(0, Math.min(600, volume)));
+}
+
+// Allowed values and ranges for imported settings, matching the popup's controls
+const SETTING_LIMITS = {
+	limiter: { mode: ["auto", "on", "off"], threshold: { min: -30, max: 0 } },
+	eq: { preset: ["flat", "voice", "bass", "custom"], bands: { min: -12, max: 12 } },
+	balance: { pan: { min: -100, max: 100 } },
+	autoLevel: { target: { min: -40, max: -10 }, maxBoost: { min: 0, max: 24 } },
+	ramp: { curve: ["linear", "exponential"], duration: { min: 0, max: 1000 }, fadeIn: { min: 0, max: 5000 } },
+	ducking: { amount: { min: 0, max: 100 }, fade: { min: 0, max: 5000 } }
+};
+
+function isWithinLimit(value, limit) {
+	if (!limit) return true;
+	if (Array.isArray(limit)) return limit.includes(value);
+	const values = Array.isArray(value) ? value : [value];
+	return values.every(n => n >= limit.min && n <= limit.max);
 }
 
-// Set tab volume and propagate to domain if needed
-function setTabVolume(tabId, volume, options = {}) {
-	// Default options
-	const opts = {
-		propagateToDomain: true,
-		updateTab: true,
-		...options
-	};
+// Keep only known settings, filling fields of the wrong type or out of range from the defaults
+function sanitizeSettings(values, defaults = DEFAULT_SETTINGS) {
+	const result = {};
+	if (!isPlainObject(values)) return result;
 
-	// Store in our tabs object
-	volumes.tabs[tabId] = volume;
+	for (const key in defaults) {
+		if (!isPlainObject(values[key])) continue;
+
+		result[key] = {};
+		for (const field in defaults[key]) {
+			const fallback = defaults[key][field];
+			const value = values[key][field];
+			// Arrays are either fixed-length lists of numbers (EQ bands) or lists of rules
+			const valid = Array.isArray(fallback)
+				? Array.isArray(value) && (fallback.length === 0
+					? value.every(rule => typeof rule === "string" && isValidRule(rule))
+					: value.length === fallback.length && value.every(Number.isFinite))
+				: typeof value === typeof fallback && (typeof value !== "number" || Number.isFinite(value));
+			result[key][field] = valid && isWithinLimit(value, SETTING_LIMITS[key]?.[field]) ? value : fallback;
+		}
+	}
+	return result;
+}
 
-	// Update badge text
-	updateBadgeText(tabId, volume);
+// Collect everything the user has saved, in the export format
+function getExportData() {
+	return {
+		format: EXPORT_FORMAT,
+		version: EXPORT_VERSION,
+		...getSavedState()
+	};
+}
 
-	// Apply volume to the tab if needed
-	if (opts.updateTab) {
-		browser.tabs.sendMessage(tabId, {
-			command: "apply_volume",
-			volume: volume
-		}).catch(() => {
-			// Tab might not have content script loaded, which is expected
-		});
+/**
+ * Validate imported data and normalize it to the export format. A bare
+ * { rule: volume } object (the raw storage layout) is accepted too. Files
+ * from before profiles (version 1 and bare objects) go into the default profile.
+ * Sections the file doesn't have are left null, so replacing leaves them alone.
+ * Throws an Error describing the first problem found.
+ */
+function normalizeImport(data) {
+	if (!isPlainObject(data)) {
+		throw new Error("File does not contain a settings object");
 	}
 
-	// Get tab info to propagate to domain if needed
-	if (opts.propagateToDomain) {
-		browser.tabs.get(tabId)
-			.then(tab => {
-				if (tab.url) {
-					const domain = getDomainFromUrl(tab.url);
-					if (domain) {
-						propagateVolumeToDomain(domain, volume, tabId);
-					}
-				}
-			})
-			.catch(err => {
-				console.error('[Better Volume] Error getting tab info:', err);
-			});
+	const isExport = data.format === EXPORT_FORMAT;
+	if (isExport && !(data.version <= EXPORT_VERSION)) {
+		throw new Error("File was exported by a newer version of Better Volume");
 	}
-}
 
-// Propagate volume to tabs with the same domain
-function propagateVolumeToDomain(domain, volume, sourceTabId, deleteVolume = false) {
-	if (!domain) return;
+	const result = {
+		profiles: {},
+		allProfiles: false,  // Whether the file has every profile, or only the default one's volumes
+		mutedDomains: null,
+		globalSettings: null,
+		domainSettings: null,
+		schedules: null
+	};
+
+	if (isExport && data.version >= 2) {
+		result.allProfiles = true;
+		if (!isPlainObject(data.profiles)) {
+			throw new Error("File does not contain any profiles");
+		}
+		for (const profileId in data.profiles) {
+			const profile = data.profiles[profileId];
+			if (!/^[a-z0-9-]+$/i.test(profileId) || !isPlainObject(profile)) {
+				throw new Error(`"${profileId}" is not a valid profile`);
+			}
+			result.profiles[profileId] = createProfileEntry(
+				typeof profile.name === "string" && profile.name ? profile.name : profileId,
+				Number.isFinite(profile.defaultVolume) ? clampVolume(profile.defaultVolume) : 100,
+				normalizeImportVolumes(profile.domainVolumes)
+			);
+		}
+	} else {
+		// Keep the current default volume unless the file has its own
+		const general = isExport && isPlainObject(data.globalSettings) && isPlainObject(data.globalSettings.general)
+			? data.globalSettings.general
+			: {};
+		result.profiles[DEFAULT_PROFILE_ID] = createProfileEntry(
+			profiles.list[DEFAULT_PROFILE_ID].name,
+			Number.isFinite(general.defaultVolume) ? clampVolume(general.defaultVolume) : profiles.list[DEFAULT_PROFILE_ID].defaultVolume,
+			normalizeImportVolumes(isExport ? data.domainVolumes : data)
+		);
+	}
+	getProfile(result.profiles, DEFAULT_PROFILE_ID);
 
-	// Store in domains object
-	volumes.domains[domain] = volume;
+	if (!isExport) return result;
 
-	// Save to storage
-	if (!deleteVolume) {
-		browser.storage.local.set({ domainVolumes: volumes.domains })
-			.catch(err => console.error('[Better Volume] Error saving domain volumes:', err));
+	if (isPlainObject(data.mutedDomains)) {
+		result.mutedDomains = {};
+		for (const rule in data.mutedDomains) {
+			if (isValidRule(rule) && data.mutedDomains[rule] === true) {
+				result.mutedDomains[rule.toLowerCase()] = true;
+			}
+		}
 	}
 
-	// Find all tabs with the same domain and update them
-	browser.tabs.query({})
-		.then(tabs => {
-			// Batch updates to avoid overwhelming the browser
-			const sameDomainTabs = tabs.filter(tab => {
-				if (!tab.url) return false;
-				if (tab.id === sourceTabId) return false; // Skip source tab
+	if (isPlainObject(data.globalSettings)) {
+		result.globalSettings = sanitizeSettings(data.globalSettings, { ...DEFAULT_SETTINGS, ...DEFAULT_GLOBAL_SETTINGS });
+	}
+	if (isPlainObject(data.domainSettings)) {
+		result.domainSettings = {};
+		for (const rule in data.domainSettings) {
+			const overrides = sanitizeSettings(data.domainSettings[rule]);
+			if (isValidRule(rule) && Object.keys(overrides).length > 0) {
+				result.domainSettings[rule.toLowerCase()] = overrides;
+			}
+		}
+	}
 
-				return getDomainFromUrl(tab.url) === domain;
-			});
+	if (Array.isArray(data.schedules)) {
+		result.schedules = data.schedules.map(sanitizeSchedule).filter(Boolean);
+	}
 
-			if (sameDomainTabs.length === 0) return;
+	return result;
+}
 
-			console.log(`[Better Volume] Updating ${sameDomainTabs.length} tabs with domain ${domain}`);
+// Validate one imported set of { rule: volume }, clamping volumes to the supported range
+function normalizeImportVolumes(domainVolumes) {
+	if (!isPlainObject(domainVolumes)) {
+		throw new Error("File does not contain any saved volumes");
+	}
 
-			// Process tabs in small batches
-			const batchSize = 3;
-			let currentBatch = 0;
+	const result = {};
+	for (const rule in domainVolumes) {
+		if (!isValidRule(rule)) {
+			throw new Error(`"${rule}" is not a valid domain`);
+		}
+		if (!Number.isFinite(domainVolumes[rule])) {
+			throw new Error(`Volume for "${rule}" is not a number`);
+		}
+		result[rule.toLowerCase()] = clampVolume(domainVolumes[rule]);
+	}
+	return result;
+}
 
-			function processBatch() {
-				const startIdx = currentBatch * batchSize;
-				const endIdx = Math.min(startIdx + batchSize, sameDomainTabs.length);
-				const currentTabs = sameDomainTabs.slice(startIdx, endIdx);
+// List saved rules that an import would change, in profiles that exist in both
+function getImportConflicts(data) {
+	const conflicts = [];
+	for (const profileId in data.profiles) {
+		const current = profiles.list[profileId];
+		if (!current) continue;
 
-				currentTabs.forEach(tab => {
-					// Set volume for this tab but don't re-propagate to domain
-					setTabVolume(tab.id, volume, { propagateToDomain: false });
+		const imported = data.profiles[profileId].domainVolumes;
+		for (const rule in imported) {
+			if (current.domainVolumes[rule] !== undefined && current.domainVolumes[rule] !== imported[rule]) {
+				conflicts.push({
+					rule,
+					profile: current.name,
+					current: current.domainVolumes[rule],
+					imported: imported[rule]
 				});
-
-				// Process next batch if needed
-				currentBatch++;
-				if (currentBatch * batchSize < sameDomainTabs.length) {
-					setTimeout(processBatch, 100);
-				}
 			}
-
-			processBatch();
-		})
-		.catch(err => console.error('[Better Volume] Error querying tabs:', err));
+		}
+	}
+	return conflicts;
 }
 
-// Get the volume for a tab, defaulting to domain volume if available
-function getVolumeForTab(tabId, url) {
-	// Check tab-specific volume first
-	if (volumes.tabs[tabId] !== undefined) {
-		return volumes.tabs[tabId];
+// Count saved volumes in an import, and what a replacing import would remove from the sections the file has
+function getImportCounts(data) {
+	let count = 0;
+	for (const profileId in data.profiles) {
+		count += Object.keys(data.profiles[profileId].domainVolumes).length;
 	}
 
-	// Check domain volume if we have a URL
-	if (url) {
-		const domain = getDomainFromUrl(url);
-		if (domain && volumes.domains[domain] !== undefined) {
-			// Store for next time
-			volumes.tabs[tabId] = volumes.domains[domain];
-			return volumes.domains[domain];
+	const removed = {
+		volumes: 0,
+		profiles: [],    // Names of profiles the file doesn't have
+		mutes: 0,
+		siteSettings: 0, // Rules with setting overrides
+		schedules: 0,
+		globalSettings: data.globalSettings !== null && Object.keys(settings.global).length > 0
+	};
+	for (const profileId in profiles.list) {
+		const imported = data.profiles[profileId];
+		if (!imported && !data.allProfiles) continue;
+		if (!imported) {
+			removed.profiles.push(profiles.list[profileId].name);
 		}
+		removed.volumes += Object.keys(profiles.list[profileId].domainVolumes)
+			.filter(rule => !imported || imported.domainVolumes[rule] === undefined).length;
 	}
-
-	// Default to 100%
-	return 100;
+	if (data.mutedDomains) {
+		removed.mutes = Object.keys(volumes.mutedDomains).filter(rule => !data.mutedDomains[rule]).length;
+	}
+	if (data.domainSettings) {
+		removed.siteSettings = Object.keys(settings.domains).filter(rule => !data.domainSettings[rule]).length;
+	}
+	if (data.schedules) {
+		removed.schedules = settings.schedules.filter(schedule => !data.schedules.some(imported => imported.id === schedule.id)).length;
+	}
+	return { count, removed };
 }
 
-// Check if volume control is available for a tab
-async function isVolumeControlAvailable(tabId) {
-	try {
-		const response = await browser.tabs.sendMessage(tabId, { command: "check_availability" });
-		return response && response.available === true;
-	} catch (error) {
-		return false;
+// Apply normalized import data, either merged over or replacing what is saved
+function importData(data, mode) {
+	if (mode === "replace") {
+		// Only the sections the file has are replaced; a file without every profile only replaces its own
+		setSavedState({
+			profiles: data.allProfiles ? data.profiles : { ...profiles.list, ...data.profiles },
+			mutedDomains: data.mutedDomains ?? volumes.mutedDomains,
+			globalSettings: data.globalSettings ?? settings.global,
+			domainSettings: data.domainSettings ?? settings.domains,
+			schedules: data.schedules ?? settings.schedules
+		});
+	} else {
+		mergeProfiles(data.profiles);
+		Object.assign(volumes.mutedDomains, data.mutedDomains);
+		Object.assign(settings.global, data.globalSettings);
+		for (const rule in data.domainSettings) {
+			settings.domains[rule] = { ...settings.domains[rule], ...data.domainSettings[rule] };
+		}
+		(data.schedules || []).forEach(schedule => {
+			settings.schedules = settings.schedules.filter(existing => existing.id !== schedule.id).concat(schedule);
+		});
 	}
-}
 
-// Remove domain volume and clear all tab settings for that domain
-function resetDomainVolume(domain) {
-	// Remove the domain from storage
-	delete volumes.domains[domain];
-	browser.storage.local.set({ domainVolumes: volumes.domains });
-	
-	// Find all tabs with this domain and clear their volume settings
-	return browser.tabs.query({})
-		.then(tabs => {
-			const affectedTabs = tabs.filter(tab => {
-				if (!tab.url) return false;
-				return getDomainFromUrl(tab.url) === domain;
-			});
-			
-			// Process each affected tab
-			affectedTabs.forEach(tab => {
-				// Reset volume to 100%
-				browser.tabs.sendMessage(tab.id, {
-					command: "apply_volume",
-					volume: 100
-				}).catch(() => {/* Expected for some tabs */});
-				
-				// Clear badge and tracking
-				browser.browserAction.setBadgeText({
-					text: "",
-					tabId: tab.id
-				});
-				delete volumes.tabs[tab.id];
-			});
-			
-			console.log(`[Better Volume] Reset ${affectedTabs.length} tabs for domain ${domain}`);
-		})
-		.catch(err => console.error('[Better Volume] Error finding tabs for domain:', err));
+	updateScheduleAlarm();
+	reapplyRulesToAllTabs();
+	return saveAllToStorage();
 }
 
-// Handle messages from popup and content scripts
+// Popup commands that each save one settings key
+const SETTING_COMMANDS = {
+	set_limiter: "limiter",
+	set_eq: "eq",
+	set_balance: "balance",
+	set_auto_level: "autoLevel",
+	set_compatibility: "compatibility",
+	set_player: "player",
+	set_ramp: "ramp"
+};
+
+// Handle messages from popup and content scripts, once saved state has loaded
 browser.runtime.onMessage.addListener((message, sender) => {
+	return startup.then(() => handleMessage(message, sender));
+});
+
+function handleMessage(message, sender) {
 	// Content script reporting it's ready
 	if (message.command === "content_script_ready") {
 		const tabId = sender.tab?.id;
 		if (!tabId) return Promise.resolve();
 
+		// Register the frame so every later update reaches it
+		volumes.frames[tabId] = volumes.frames[tabId] || {};
+		volumes.frames[tabId][sender.frameId || 0] = true;
+		saveTabState();
+
 		// Get volume for this tab and apply it immediately
-		const url = sender.tab.url;
-		const volume = getVolumeForTab(tabId, url);
+		const volume = getVolumeForTab(sender.tab);
 
 		// Set tab volume but don't propagate to domain (avoid circular updates)
+		applySettingsToTab(tabId);
 		setTabVolume(tabId, volume, { propagateToDomain: false });
 
 		return Promise.resolve();
@@ -226,10 +1907,15 @@ browser.runtime.onMessage.addListener((message, sender) => {
 
 		if (!tabId) return Promise.resolve({ success: false, error: "No tab specified" });
 
-		// Set tab volume and propagate to domain
-		setTabVolume(tabId, volume);
+		return browser.tabs.get(tabId)
+			.then(tab => {
+				const saved = message.save === true || shouldSaveTabVolume(tab);
+
+				// Set tab volume and propagate to the chosen rule
+				setTabVolume(tabId, volume, { rule: message.rule, propagateToDomain: saved });
 
-		return Promise.resolve({ success: true });
+				return { success: true, saved };
+			});
 	}
 
 	// Get volume for popup
@@ -245,10 +1931,24 @@ browser.runtime.onMessage.addListener((message, sender) => {
 				}
 
 				// Get tab info to check domain if needed
-				return browser.tabs.get(tabId)
-					.then(tab => {
-						const volume = getVolumeForTab(tabId, tab.url);
-						return { volume, available: true };
+				return Promise.all([browser.tabs.get(tabId), isTabDegraded(tabId)])
+					.then(([tab, degraded]) => {
+						const volume = getVolumeForTab(tab);
+						const scheduled = getScheduledVolume(tab);
+						return {
+							volume,
+							available: true,
+							degraded,
+							schedule: scheduled.schedule && { ...scheduled.schedule, effectiveVolume: scheduled.volume },
+							rule: findMatchingRule(tab.url, getVolumeTable(tab)),
+							scopes: getRuleScopesForUrl(tab.url),
+							incognito: !!tab.incognito,
+							autoSave: getGeneralSettings().autoSave,
+							linked: !volumes.unlinked[tabId],
+							mute: getMuteState(tab),
+							settings: getSettingsForUrl(tab.url, tab.incognito),
+							overrides: getSettingOverridesForUrl(tab.url, tab.incognito)
+						};
 					});
 			})
 			.catch(err => {
@@ -258,41 +1958,451 @@ browser.runtime.onMessage.addListener((message, sender) => {
 	}
 
 	if (message.command === "delete_volume") {
-		return resetDomainVolume(message.domain)
-		.then(() => {
-			const volume = getVolumeForTab(message.tabId, message.domain);
-			return Promise.resolve({ volume });
+		return browser.tabs.get(message.tabId)
+			.then(tab => resetDomainVolume(message.domain, tab.incognito)
+				.then(() => ({ volume: getVolumeForTab(tab), rule: findMatchingRule(tab.url, getVolumeTable(tab)) })));
+	}
+
+	// Link or unlink a tab from its rule's volume
+	if (message.command === "set_tab_linked") {
+		if (!message.tabId) return Promise.resolve({ success: false, error: "No tab specified" });
+
+		return setTabLinked(message.tabId, message.linked)
+			.then(volume => ({ success: true, volume, linked: !volumes.unlinked[message.tabId] }));
+	}
+
+	// Mute toggles and solo from popup
+	if (message.command === "toggle_mute_tab" ||
+		message.command === "toggle_mute_domain" ||
+		message.command === "toggle_solo") {
+		const tabId = message.tabId;
+		if (!tabId) return Promise.resolve({ success: false, error: "No tab specified" });
+
+		return browser.tabs.get(tabId)
+			.then(tab => {
+				if (message.command === "toggle_mute_tab") return toggleTabMute(tabId).then(() => tab);
+				if (message.command === "toggle_mute_domain") return toggleDomainMute(tab).then(() => tab);
+				toggleSolo(tabId);
+				return tab;
+			})
+			.then(tab => ({ success: true, mute: getMuteState(tab) }));
+	}
+
+	// Processing settings from popup, saved for the tab's site or globally
+	if (Object.hasOwn(SETTING_COMMANDS, message.command)) {
+		if (!message.tabId) return Promise.resolve({ success: false, error: "No tab specified" });
+
+		return browser.tabs.get(message.tabId)
+			.then(tab => saveSetting(tab, SETTING_COMMANDS[message.command], message.value, message.scope)
+				.then(() => ({
+					success: true,
+					settings: getSettingsForUrl(tab.url, tab.incognito),
+					overrides: getSettingOverridesForUrl(tab.url, tab.incognito)
+				})));
+	}
+
+	// Media elements on a page, each with its own gain relative to the tab (not saved)
+	if (message.command === "get_tab_media") {
+		if (!message.tabId) return Promise.resolve({ elements: [] });
+		return getTabMedia(message.tabId).then(elements => ({ elements }));
+	}
+
+	if (message.command === "set_element_gain" || message.command === "highlight_element") {
+		if (!message.tabId) return Promise.resolve({ success: false, error: "No tab specified" });
+
+		return browser.tabs.sendMessage(message.tabId, {
+			command: message.command,
+			id: message.elementId,
+			gain: message.gain
+		}, { frameId: message.frameId || 0 })
+			.then(response => ({ success: !!(response && response.success) }))
+			.catch(() => ({ success: false, error: "Media is no longer on the page" }));
+	}
+
+	// Output levels for the popup's meter, only measured while it asks
+	if (message.command === "get_levels") {
+		if (!message.tabId) return Promise.resolve({ levels: null });
+		return getTabLevels(message.tabId).then(levels => ({ levels }));
+	}
+
+	// Every tab with audio or its own volume, for the popup mixer
+	if (message.command === "get_mixer") {
+		return getMixerTabs()
+			.then(tabs => ({ tabs }))
+			.catch(err => {
+				console.error('[Better Volume] Error listing tabs for the mixer:', err);
+				return { tabs: [] };
+			});
+	}
+
+	// Current auto level correction for popup
+	if (message.command === "get_auto_level") {
+		if (!message.tabId) return Promise.resolve({ correction: null });
+
+		return browser.tabs.sendMessage(message.tabId, { command: "get_auto_level" })
+			.then(response => ({ correction: response ? response.correction : null }))
+			.catch(() => ({ correction: null }));
+	}
+
+	// Saved volumes of the active profile for the settings table, or the private ones for a private tab
+	if (message.command === "get_saved_volumes") {
+		return (message.tabId ? browser.tabs.get(message.tabId).catch(() => null) : Promise.resolve(null))
+			.then(tab => ({
+				domains: tab ? getOwnVolumeTable(tab) : volumes.domains,
+				incognito: !!(tab && tab.incognito),
+				profile: profiles.list[profiles.active].name
+			}));
+	}
+
+	// Default volume (of the active profile) and new-site behavior for the settings view
+	if (message.command === "get_general_settings") {
+		return Promise.resolve({ ...getGeneralSettings(), defaultVolume: getDefaultVolume() });
+	}
+
+	if (message.command === "set_general_settings") {
+		// An empty or invalid field keeps the current default rather than muting unsaved sites
+		const defaultVolume = message.value?.defaultVolume;
+		if (typeof defaultVolume === "number" && Number.isFinite(defaultVolume)) {
+			profiles.list[profiles.active].defaultVolume = clampVolume(defaultVolume);
+			saveProfiles();
+		}
+
+		// Tabs without a saved rule play at the default
+		return saveSetting(null, "general", { autoSave: message.value?.autoSave !== false }, "global")
+			.then(() => reapplyRulesToAllTabs())
+			.then(() => ({ success: true, general: { ...getGeneralSettings(), defaultVolume: getDefaultVolume() } }));
+	}
+
+	// Ducking of other tabs while a priority site plays
+	if (message.command === "get_ducking") {
+		return Promise.resolve({ ducking: getDuckingSettings() });
+	}
+
+	if (message.command === "set_ducking") {
+		const { ducking, error } = sanitizeDucking(message.value);
+		if (error) return Promise.resolve({ success: false, error });
+
+		return saveSetting(null, "ducking", ducking, "global")
+			.then(() => refreshDucking())
+			.then(() => ({ success: true, ducking: getDuckingSettings() }));
+	}
+
+	// Badge and toolbar icon
+	if (message.command === "get_badge_settings") {
+		return Promise.resolve({ badge: getBadgeSettings() });
+	}
+
+	if (message.command === "set_badge_settings") {
+		const value = {
+			hideDefault: message.value?.hideDefault === true,
+			colorByLevel: message.value?.colorByLevel === true,
+			dynamicIcon: message.value?.dynamicIcon === true
+		};
+		return saveSetting(null, "badge", value, "global")
+			.then(() => updateAllBadges())
+			.then(() => ({ success: true, badge: getBadgeSettings() }));
+	}
+
+	// Private window handling
+	if (message.command === "get_private_settings") {
+		return Promise.resolve({ private: getPrivateSettings() });
+	}
+
+	if (message.command === "set_private_settings") {
+		const value = { seed: message.value?.seed !== false, share: message.value?.share === true };
+		return saveSetting(null, "private", value, "global")
+			.then(() => reapplyRulesToAllTabs())
+			.then(() => ({ success: true, private: getPrivateSettings() }));
+	}
+
+	// Volume profiles
+	if (message.command === "get_profiles") {
+		return Promise.resolve({ active: profiles.active, profiles: getProfileList() });
+	}
+
+	if (message.command === "set_active_profile" ||
+		message.command === "create_profile" ||
+		message.command === "rename_profile" ||
+		message.command === "delete_profile") {
+		const name = typeof message.name === "string" ? message.name.trim() : "";
+		if ((message.command === "create_profile" || message.command === "rename_profile") && !name) {
+			return Promise.resolve({ success: false, error: "Profiles need a name" });
+		}
+
+		let change;
+		if (message.command === "set_active_profile") change = switchProfile(message.id);
+		if (message.command === "create_profile") change = createProfile(name).then(switchProfile);
+		if (message.command === "rename_profile") change = renameProfile(message.id, name);
+		if (message.command === "delete_profile") change = deleteProfile(message.id);
+
+		return change
+			.then(() => ({ success: true, active: profiles.active, profiles: getProfileList() }))
+			.catch(err => ({ success: false, error: err.message }));
+	}
+
+	// Time-of-day schedules for the settings view
+	if (message.command === "get_schedules") {
+		return Promise.resolve({ schedules: settings.schedules });
+	}
+
+	if (message.command === "save_schedule") {
+		const schedule = sanitizeSchedule(message.schedule);
+		if (!schedule) return Promise.resolve({ success: false, error: "Invalid schedule" });
+
+		return saveSchedule(schedule)
+			.then(() => ({ success: true, schedules: settings.schedules }));
+	}
+
+	if (message.command === "delete_schedule") {
+		return deleteSchedule(message.id)
+			.then(() => ({ success: true, schedules: settings.schedules }));
+	}
+
+	// Whether saved volumes sync across devices
+	if (message.command === "get_sync_status") {
+		return Promise.resolve({
+			syncEnabled: storageState.syncEnabled,
+			syncError: storageState.syncError
 		});
 	}
 
+	if (message.command === "set_sync_enabled") {
+		return setSyncEnabled(message.enabled === true)
+			.then(() => ({
+				success: true,
+				syncEnabled: storageState.syncEnabled,
+				syncError: storageState.syncError
+			}))
+			.catch(err => {
+				console.error('[Better Volume] Error switching storage:', err);
+				return { success: false, error: err.message };
+			});
+	}
+
+	// Export everything saved, for the popup to download
+	if (message.command === "export_settings") {
+		return Promise.resolve(getExportData());
+	}
+
+	// Validate an import and preview which saved rules it would change
+	if (message.command === "validate_import") {
+		try {
+			const data = normalizeImport(message.data);
+			return Promise.resolve({
+				valid: true,
+				...getImportCounts(data),
+				conflicts: getImportConflicts(data)
+			});
+		} catch (err) {
+			return Promise.resolve({ valid: false, error: err.message });
+		}
+	}
+
+	// Apply an import, merging or replacing
+	if (message.command === "import_settings") {
+		let data;
+		try {
+			data = normalizeImport(message.data);
+		} catch (err) {
+			return Promise.resolve({ success: false, error: err.message });
+		}
+
+		return importData(data, message.mode)
+			.then(() => ({ success: true }))
+			.catch(err => {
+				console.error('[Better Volume] Error importing settings:', err);
+				return { success: false, error: err.message };
+			});
+	}
+
 	return false;
+}
+
+// Handle keyboard shortcuts for the active tab
+browser.commands.onCommand.addListener((command) => {
+	startup
+		.then(() => browser.tabs.query({ active: true, currentWindow: true }))
+		.then(async tabs => {
+			const tab = tabs[0];
+			if (!tab || !(await isVolumeControlAvailable(tab.id))) return;
+
+			const volume = getVolumeForTab(tab);
+			const options = { propagateToDomain: shouldSaveTabVolume(tab) };
+			switch (command) {
+				case "volume-up":
+					setTabVolume(tab.id, stepVolume(volume, 1), options);
+					break;
+				case "volume-down":
+					setTabVolume(tab.id, stepVolume(volume, -1), options);
+					break;
+				case "volume-reset":
+					setTabVolume(tab.id, getDefaultVolume(), options);
+					break;
+				case "volume-mute":
+					toggleTabMute(tab.id);
+					break;
+			}
+		})
+		.catch(err => console.error('[Better Volume] Error handling shortcut:', err));
 });
 
 // Update badge when a tab is activated
 browser.tabs.onActivated.addListener(({ tabId }) => {
-	const volume = volumes.tabs[tabId];
-	updateBadgeText(tabId, volume);
+	startup
+		.then(() => browser.tabs.get(tabId))
+		.then(tab => updateTabBadge(tab))
+		.catch(() => {/* Tab may already be closed */});
 });
 
 // Remove tab from tracking when closed
 browser.tabs.onRemoved.addListener((tabId) => {
-	delete volumes.tabs[tabId];
+	startup.then(() => {
+		delete volumes.tabs[tabId];
+		delete volumes.unlinked[tabId];
+		delete volumes.muted[tabId];
+		delete volumes.frames[tabId];
+		delete volumes.customIcons[tabId];
+		saveTabState();
+		setDuckingSource(tabId, false);
+
+		// Closing the solo tab brings the others back
+		if (volumes.soloTabId === tabId) {
+			toggleSolo(tabId);
+		}
+	});
 });
 
 // Initialize newly loaded tabs
 browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 	if (changeInfo.status !== 'complete' || !tab.url) return;
 
-	const domain = getDomainFromUrl(tab.url);
-	if (!domain) return;
+	startup.then(() => {
+		// Unlinked tabs keep their own volume across navigation
+		if (volumes.unlinked[tabId]) return;
 
-	// Check if we have a domain volume for this tab
-	const domainVolume = volumes.domains[domain];
-	if (domainVolume !== undefined) {
-		// Set tab volume but don't propagate to domain (avoid circular updates)
-		setTabVolume(tabId, domainVolume, { propagateToDomain: false });
-	}
+		// Check if a saved rule applies to this tab
+		const table = getVolumeTable(tab);
+		const rule = findMatchingRule(tab.url, table);
+		if (rule) {
+			// Set tab volume but don't propagate to domain (avoid circular updates)
+			setTabVolume(tabId, table[rule], { propagateToDomain: false });
+		}
+	});
+});
+
+// Private window volumes last as long as the private session
+browser.windows.onRemoved.addListener(() => {
+	startup.then(() => clearPrivateVolumes());
+});
+
+// Duck other tabs while a priority tab plays audio, and restore them when it goes quiet or leaves the site
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+	if (changeInfo.audible === undefined && changeInfo.url === undefined) return;
+
+	startup.then(() => setDuckingSource(tabId, !!tab.audible && isPriorityTab(tab)));
 });
 
+// Re-apply volumes when a schedule starts or ends
+browser.alarms.onAlarm.addListener((alarm) => {
+	if (alarm.name !== SCHEDULE_ALARM) return;
+
+	startup.then(() => {
+		applyVolumeToAllTabs();
+		updateScheduleAlarm();
+	});
+});
+
+// Context menu on pages, media and the toolbar button (Chromium only has the contextMenus name)
+const menus = browser.menus || browser.contextMenus;
+const MENU_PRESETS = [50, 100, 200];
+const MENU_CONTEXTS = ["page", "video", "audio", "action"];
+
+function createMenus() {
+	menus.create({ id: "better-volume", title: "Better Volume", contexts: MENU_CONTEXTS });
+	MENU_PRESETS.forEach(volume => {
+		menus.create({
+			id: `preset-${volume}`,
+			parentId: "better-volume",
+			type: "radio",
+			title: `${volume}%`,
+			contexts: MENU_CONTEXTS
+		});
+	});
+	menus.create({ id: "separator", parentId: "better-volume", type: "separator", contexts: MENU_CONTEXTS });
+	menus.create({ id: "mute-tab", parentId: "better-volume", type: "checkbox", title: "Mute tab", contexts: MENU_CONTEXTS });
+	menus.create({ id: "unlink-tab", parentId: "better-volume", type: "checkbox", title: "Unlink this tab", contexts: MENU_CONTEXTS });
+	menus.create({ id: "reset-site", parentId: "better-volume", title: "Reset site volume", contexts: MENU_CONTEXTS });
+}
+
+// Menus outlive a non-persistent background, so rebuild them instead of adding duplicates
+menus.removeAll().then(createMenus);
+
+// Check the preset and toggles that match a tab
+function updateMenuChecks(tab) {
+	const volume = getVolumeForTab(tab);
+	return Promise.all([
+		...MENU_PRESETS.map(preset => menus.update(`preset-${preset}`, { checked: volume === preset })),
+		menus.update("mute-tab", { checked: !!volumes.muted[tab.id] }),
+		menus.update("unlink-tab", { checked: !!volumes.unlinked[tab.id] }),
+		menus.update("reset-site", { enabled: findMatchingRule(tab.url, getOwnVolumeTable(tab)) !== null })
+	]).catch(() => {/* Menus may not be created yet */});
+}
+
+// Menus are shared by every window, so only the focused window's active tab may check them
+function updateFocusedMenuChecks(tabId) {
+	return browser.tabs.query({ active: true, lastFocusedWindow: true })
+		.then(([tab]) => {
+			if (tab && (tabId === undefined || tab.id === tabId)) return updateMenuChecks(tab);
+		})
+		.catch(() => {/* The window may already be closed */});
+}
+
+browser.windows.onFocusChanged.addListener(windowId => {
+	if (windowId === browser.windows.WINDOW_ID_NONE) return;
+
+	startup.then(() => updateFocusedMenuChecks());
+});
+
+// Firefox can update menus for the tab they were opened on, just before they show
+if (menus.onShown) {
+	menus.onShown.addListener((info, tab) => {
+		if (!tab) return;
+
+		startup
+			.then(() => updateMenuChecks(tab))
+			.then(() => menus.refresh());
+	});
+}
+
+menus.onClicked.addListener((info, tab) => {
+	if (!tab) return;
+
+	startup.then(() => handleMenuClick(info, tab));
+});
+
+function handleMenuClick(info, tab) {
+	const preset = MENU_PRESETS.find(volume => info.menuItemId === `preset-${volume}`);
+	if (preset !== undefined) {
+		setTabVolume(tab.id, preset, { propagateToDomain: shouldSaveTabVolume(tab) });
+		return;
+	}
+
+	switch (info.menuItemId) {
+		case "mute-tab":
+			toggleTabMute(tab.id);
+			break;
+		case "unlink-tab":
+			setTabLinked(tab.id, !!volumes.unlinked[tab.id]);
+			break;
+		case "reset-site": {
+			const rule = findMatchingRule(tab.url, getOwnVolumeTable(tab));
+			if (rule) {
+				resetDomainVolume(rule, tab.incognito);
+			}
+			break;
+		}
+	}
+}
+
 // Set badge background color
-browser.browserAction.setBadgeBackgroundColor({ color: `rgb(0, 100, 255)` });
+browser.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
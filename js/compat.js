@@ -0,0 +1,40 @@
+/**
+ * Better Volume - Browser Compatibility
+ * 
+ * The extension is written against Firefox's promise-based browser.* API.
+ * Chromium only has chrome.*, whose methods return promises in Manifest V3 but
+ * whose onMessage listeners have to answer through sendResponse. This maps one
+ * onto the other, and does nothing where browser.* already exists.
+ */
+if (typeof globalThis.browser === "undefined" && typeof chrome !== "undefined") {
+	// Answer messages with whatever a listener's promise resolves to
+	const onMessage = {
+		addListener(listener) {
+			chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+				const response = listener(message, sender);
+				if (response === false || response === undefined) return false;
+
+				Promise.resolve(response)
+					.then(sendResponse)
+					.catch(err => {
+						console.error("[Better Volume] Error handling message:", err);
+						sendResponse();
+					});
+				return true;
+			});
+		}
+	};
+
+	// Everything else passes straight through to chrome.*, with methods bound to their namespace
+	const wrap = (target, overrides) => new Proxy(target, {
+		get(object, key) {
+			if (key in overrides) return overrides[key];
+			const value = object[key];
+			return typeof value === "function" ? value.bind(object) : value;
+		}
+	});
+
+	globalThis.browser = wrap(chrome, {
+		runtime: wrap(chrome.runtime, { onMessage })
+	});
+}
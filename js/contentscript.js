@@ -2,13 +2,36 @@
  * Better Volume - Injectable Content Script
  * 
  * This script handles only page-level volume application:
- * 1. Early interception of AudioContext creation
- * 2. Management of media element volumes
- * 3. Applying volume changes from background script
+ * 1. Management of media element volumes
+ * 2. Applying volume changes from background script, and forwarding them to
+ *    the page's own audio contexts (see js/interceptor.js)
  */
 
-// Track processed media elements to avoid duplicate processing
+// The processing chain shared with the interceptor, see js/audiochain.js
+const { createAudioChain, mergeLevels, FADE_IN_MIN_PAUSE } = betterVolumeAudioChain;
+
+// Track processed media elements to avoid duplicate processing. Both are weak, so
+// media the page drops can still be garbage collected
 const processedElements = new WeakSet();
+const processedRefs = new Set();
+
+// The processed elements that are still alive
+function getProcessedElements() {
+    const elements = [];
+    processedRefs.forEach(ref => {
+        const element = ref.deref();
+        if (element) {
+            elements.push(element);
+        } else {
+            processedRefs.delete(ref);
+        }
+    });
+    return elements;
+}
+
+// Media elements waiting for settings, or for their source, before being processed
+const pendingElements = new Set();
+const awaitingSource = new WeakSet();
 
 // Create a shared AudioContext for managing gain nodes
 let sharedContext;
@@ -18,92 +41,172 @@ try {
     console.warn("[Better Volume] Failed to create AudioContext:", e);
 }
 
-// Inject script to intercept native AudioContext before any page scripts run
-function injectEarlyInterceptor() {
-    const script = document.createElement('script');
-    script.textContent = `
-        (function() {
-            // Store original constructors
-            const originalAudioContext = window.AudioContext;
-            const originalWebkitAudioContext = window.webkitAudioContext;
-
-            // Keep track of contexts and their gain nodes
-            window.betterVolumeContexts = new Set();
-            window.bvol_current = 1; // 100% volume by default
-
-            // Function to wrap an AudioContext
-            function wrapAudioContext(context) {
-                try {
-                    const masterGain = context.createGain();
-                    const originalDestination = context.destination;
-
-                    // Set initial volume
-                    masterGain.gain.value = window.bvol_current;
-                    
-                    // Connect master gain to the real destination
-                    masterGain.connect(originalDestination);
-
-                    // Override the destination property
-                    Object.defineProperty(context, 'destination', {
-                        get: function() {
-                            return masterGain;
-                        },
-                        configurable: true
-                    });
-
-                    // Store the gain node
-                    window.betterVolumeContexts.add(masterGain);
-
-                    return context;
-                } catch (e) {
-                    console.error("[Better Volume] Error wrapping context:", e);
-                    return context;
-                }
-            }
-
-            // Replace AudioContext
-            window.AudioContext = function() {
-                try {
-                    const context = new originalAudioContext(...arguments);
-                    return wrapAudioContext(context);
-                } catch (e) {
-                    console.error("[Better Volume] Error creating AudioContext:", e);
-                    return new originalAudioContext(...arguments);
-                }
-            };
-            window.AudioContext.prototype = originalAudioContext.prototype;
-
-            // Replace webkitAudioContext if it exists
-            if (originalWebkitAudioContext) {
-                window.webkitAudioContext = function() {
-                    const context = new originalWebkitAudioContext(...arguments);
-                    return wrapAudioContext(context);
-                };
-                window.webkitAudioContext.prototype = originalWebkitAudioContext.prototype;
-            }
-
-            // Listen for volume change messages
-            window.addEventListener('message', function(event) {
-                if (event.data && event.data.type === 'bettervolume_setvolume') {
-                    const volume = event.data.volume / 100;
-                    window.bvol_current = volume;
-                    
-                    window.betterVolumeContexts.forEach(gainNode => {
-                        try {
-                            gainNode.gain.setValueAtTime(volume, gainNode.context.currentTime);
-                        } catch (e) {
-                            console.error("[Better Volume] Error setting gain:", e);
-                        }
-                    });
-                }
-            });
-        })();
-    `;
-
-    // Insert the script at the very beginning of the document
-    const parent = document.head || document.documentElement;
-    parent.insertBefore(script, parent.firstChild);
-    script.remove();
+// Check whether Web Audio would only get silence from an element: cross-origin
+// media loaded without CORS is tainted, and createMediaElementSource outputs zeros
+function isTaintedMedia(element) {
+    if (element.crossOrigin !== null || element.srcObject) return false;
+
+    const src = element.currentSrc || element.src;
+    try {
+        const url = new URL(src, document.baseURI);
+        if (url.protocol === 'blob:' || url.protocol === 'data:') return false;
+        return url.origin !== window.location.origin;
+    } catch (e) {
+        return false;
+    }
+}
+
+// IDs for the popup's media list; each frame numbers its own elements
+let nextElementId = 1;
+
+// Mark an element as processed, give it an ID the popup can refer to and bring it to the current volume
+function trackElement(element) {
+    element.betterVolumeId = nextElementId++;
+    processedElements.add(element);
+    processedRefs.add(new WeakRef(element));
+    watchPageVolume(element);
+    applyElementVolume(element, currentVolume, null);
+    watchPlayback(element);
+}
+
+// An element's own gain relative to the tab volume (1 = same as the tab), set from the popup
+function getRelativeGain(element) {
+    return (element.betterVolumeRelative ?? 100) / 100;
+}
+
+// Control an element through element.volume instead of Web Audio (no boost past 100%)
+function useVolumeFallback(element) {
+    element.betterVolumeFallback = true;
+    trackElement(element);
+}
+
+/**
+ * The page's own volume. The site's player keeps setting element.volume and
+ * element.muted, and our volume goes on top of that rather than replacing it.
+ * When part of our volume is also written to element.volume (see splitVolume),
+ * betterVolumeFactor records how much, so the page's value can be told apart.
+ */
+function watchPageVolume(element) {
+    element.betterVolumePage = element.volume;
+    element.betterVolumeFactor = 1;
+    element.addEventListener('volumechange', () => {
+        // Ours, or only a change of element.muted, which we never touch
+        if (element.volume === element.betterVolumeWritten) return;
+
+        // A player putting back a volume it read from the element (e.g. after changing
+        // source) hands us one of our own scaled values; taking that as the player's
+        // volume would scale it twice, so keep the player's volume and reapply ours
+        if (element.betterVolumeScaled && element.betterVolumeScaled.includes(element.volume)) {
+            rampElementVolume(element, getElementVolume(element, element.betterVolumeFactor), null);
+            return;
+        }
+
+        // The player changed its volume: stop any ramp of ours and keep what it set
+        clearInterval(element.betterVolumeRamp);
+        element.betterVolumeWritten = element.volume;
+        element.betterVolumePage = element.betterVolumeFactor > 0
+            ? element.volume / element.betterVolumeFactor
+            : element.betterVolumePage;
+    });
+}
+
+// Remember the last few element.volume values that had part of our volume in them
+function rememberScaledVolume(element, value) {
+    const scaled = (element.betterVolumeScaled || []).filter(existing => existing !== value);
+    element.betterVolumeScaled = [value, ...scaled].slice(0, 5);
+}
+
+function setElementVolume(element, value) {
+    element.betterVolumeWritten = value;
+    if (element.volume !== value) {
+        element.volume = value;
+    }
+}
+
+// Whether volumes below 100% go to the site's player (element.volume) instead of the gain node
+function isHandOffEnabled() {
+    const player = currentSettings && currentSettings.player;
+    return !!(player && player.handOff);
+}
+
+// Split a tab volume into the factor applied to the page's element.volume and the gain node's gain.
+// Elements without a gain node only have element.volume; with hand off, the gain node only boosts.
+function splitVolume(element, volume) {
+    const target = volume / 100 * getRelativeGain(element);
+    if (element.betterVolumeFallback) {
+        return { factor: target, gain: null };
+    }
+    if (isHandOffEnabled() && target > 0) {
+        const factor = Math.min(1, target);
+        return { factor, gain: target / factor };
+    }
+    return { factor: 1, gain: target };
+}
+
+// What the element's element.volume should be for a factor, from the page's own volume
+function getElementVolume(element, factor) {
+    return Math.min(1, element.betterVolumePage * factor);
+}
+
+// The level an element actually plays at (1 = full volume), with the page's volume and mute included
+function getEffectiveLevel(element) {
+    if (element.muted) return 0;
+    const { factor, gain } = splitVolume(element, currentVolume);
+    return getElementVolume(element, factor) * (gain ?? 1);
+}
+
+// Move element.volume to a value over the ramp's duration
+function rampElementVolume(element, value, ramp, from) {
+    clearInterval(element.betterVolumeRamp);
+    const start = from === undefined ? element.volume : from;
+    const duration = ramp && ramp.duration > 0 ? ramp.duration : 0;
+    if (duration === 0 || start === value) {
+        setElementVolume(element, value);
+        return;
+    }
+
+    const exponential = ramp.curve === "exponential" && start > 0 && value > 0;
+    const startTime = performance.now();
+    element.betterVolumeRamp = setInterval(() => {
+        const progress = Math.min(1, (performance.now() - startTime) / duration);
+        setElementVolume(element, exponential
+            ? start * Math.pow(value / start, progress)
+            : start + (value - start) * progress);
+        if (progress === 1) {
+            clearInterval(element.betterVolumeRamp);
+        }
+    }, 20);
+}
+
+// Bring an element up from silence when it starts playing, if fade-in is on
+function fadeInElement(element) {
+    const ramp = currentSettings && currentSettings.ramp;
+    if (!ramp || !(ramp.fadeIn > 0)) return;
+
+    const fade = { curve: "linear", duration: ramp.fadeIn };
+    const { factor, gain } = splitVolume(element, currentVolume);
+    if (element.betterVolumeGain) {
+        mediaChain.setGain(element.betterVolumeGain.gain, gain, fade, 0);
+    } else {
+        rampElementVolume(element, getElementVolume(element, factor), fade, 0);
+    }
+}
+
+// Fade in when playback first starts, including media that was already playing when found,
+// and when it resumes after a real pause
+function watchPlayback(element) {
+    let pausedAt = null;
+    element.addEventListener('pause', () => {
+        pausedAt = performance.now();
+    });
+    element.addEventListener('play', () => {
+        if (pausedAt === null || performance.now() - pausedAt >= FADE_IN_MIN_PAUSE) {
+            fadeInElement(element);
+        }
+    });
+    if (!element.paused) {
+        fadeInElement(element);
+    }
 }
 
 // Create gain node for media elements
@@ -111,134 +214,250 @@ function applyGainToElement(element) {
     if (!element || processedElements.has(element))
         return;
 
+    // Wait for settings, so sites that opt out of hooking are never hooked
+    if (currentSettings === null) {
+        pendingElements.add(element);
+        return;
+    }
+
+    // The source isn't known until loading starts
+    if (!element.currentSrc && !element.src && !element.srcObject) {
+        if (!awaitingSource.has(element)) {
+            awaitingSource.add(element);
+            element.addEventListener('loadstart', () => {
+                awaitingSource.delete(element);
+                applyGainToElement(element);
+            }, { once: true });
+        }
+        return;
+    }
+
+    const compatibility = currentSettings.compatibility || {};
+    if (compatibility.neverHook || isTaintedMedia(element)) {
+        useVolumeFallback(element);
+        return false;
+    }
+
     try {
         if (!sharedContext) {
             sharedContext = new AudioContext();
         }
 
+        // All media elements share one processing chain
+        if (!mediaChain) {
+            mediaChain = createAudioChain(sharedContext, sharedContext.destination);
+        }
+
         const gainNode = sharedContext.createGain();
         const source = sharedContext.createMediaElementSource(element);
 
         source.connect(gainNode);
-        gainNode.connect(sharedContext.destination);
-
-        // Set initial volume from global currentVolume
-        gainNode.gain.value = currentVolume / 100;
+        gainNode.connect(mediaChain.input);
 
         // Store gain control on the element
         element.betterVolumeGain = gainNode;
 
         // Mark as processed
-        processedElements.add(element);
+        trackElement(element);
+        updateMediaChain(currentVolume);
 
         return true;
     } catch (e) {
-        console.warn("[Better Volume] Error applying gain to element:", e);
+        // Already connected elsewhere, or not supported: fall back rather than fail
+        console.warn("[Better Volume] Error applying gain to element, using element volume:", e);
+        useVolumeFallback(element);
         return false;
     }
 }
 
-// Apply volume to all media elements
-function updateAllElements(volume) {
-    const gainValue = volume / 100;
+// Hook elements that were waiting for settings to arrive
+function applyGainToPendingElements() {
+    const elements = [...pendingElements];
+    pendingElements.clear();
+    elements.forEach(applyGainToElement);
+}
 
-    // Process audio/video elements in the main document
-    document.querySelectorAll('audio, video').forEach(element => {
-        if (!processedElements.has(element)) {
-            applyGainToElement(element);
-        } else if (element.betterVolumeGain) {
-            element.betterVolumeGain.gain.value = gainValue;
-        }
-    });
+// Apply volume to all media elements. Elements are found as they are created
+// (see setupMediaElementObserver); frames run their own copy of this script.
+// The ramp defaults to the one in the settings.
+function updateAllElements(volume, ramp = currentSettings && currentSettings.ramp) {
+    getProcessedElements().forEach(element => applyElementVolume(element, volume, ramp));
 
-    // Try to process elements in accessible iframes
-    try {
-        document.querySelectorAll('iframe').forEach(iframe => {
-            try {
-                if (iframe.contentDocument) {
-                    iframe.contentDocument.querySelectorAll('audio, video').forEach(element => {
-                        if (!processedElements.has(element)) {
-                            applyGainToElement(element);
-                        } else if (element.betterVolumeGain) {
-                            element.betterVolumeGain.gain.value = gainValue;
-                        }
-                    });
-                }
-            } catch (e) {
-                // Ignore cross-origin iframe errors
-            }
-        });
-    } catch (e) {
-        console.warn("[Better Volume] Error processing iframes:", e);
-    }
+    // Update the processing chain shared by media elements
+    updateMediaChain(volume);
 
     // Update page-level audio contexts
     window.postMessage({
         type: 'bettervolume_setvolume',
-        volume: volume
+        volume: volume,
+        settings: currentSettings,
+        ramp: ramp
     }, '*');
 }
 
-// Create a simple observer to watch for new media elements
-function setupMediaElementObserver() {
-    // Create a more efficient mutation observer
-    const observer = new MutationObserver((mutations) => {
-        let hasNewMedia = false;
+// Update the chain shared by media elements. Its limiter is told the loudest element's
+// gain, since an element can be boosted on its own while the tab is at 100%.
+function updateMediaChain(volume) {
+    if (!mediaChain) return;
 
-        // Quickly check for media elements in the mutations
-        for (const mutation of mutations) {
-            if (mutation.type !== 'childList' || !mutation.addedNodes.length) continue;
-
-            for (const node of mutation.addedNodes) {
-                // Check if the node itself is a media element
-                if (node.nodeName === 'VIDEO' || node.nodeName === 'AUDIO') {
-                    hasNewMedia = true;
-                    break;
-                }
-
-                // Check for media elements within added nodes
-                if (node.querySelectorAll) {
-                    const mediaElements = node.querySelectorAll('video, audio');
-                    if (mediaElements.length > 0) {
-                        hasNewMedia = true;
-                        break;
-                    }
-                }
-            }
-
-            if (hasNewMedia) break;
-        }
+    const gains = getProcessedElements()
+        .filter(element => element.betterVolumeGain)
+        .map(element => splitVolume(element, volume).gain);
+    mediaChain.update(volume, currentSettings, gains.length > 0 ? Math.max(...gains) : volume / 100);
+}
+
+// Take new processing settings without ramping volumes again, which would cut a fade-in
+// short. Only switching hand off moves volume between element.volume and the gain node.
+function updateSettings(settings) {
+    const handOff = isHandOffEnabled();
+    currentSettings = settings;
+    if (isHandOffEnabled() !== handOff) {
+        getProcessedElements().forEach(element => applyElementVolume(element, currentVolume, null));
+    }
+
+    updateMediaChain(currentVolume);
+    window.postMessage({
+        type: 'bettervolume_setsettings',
+        volume: currentVolume,
+        settings: currentSettings
+    }, '*');
+}
 
-        // Only process all elements if we found new media
-        if (hasNewMedia) {
-            updateAllElements(currentVolume);
+// Set one element's volume from the tab volume, its own relative gain and the page's volume
+function applyElementVolume(element, volume, ramp = currentSettings && currentSettings.ramp) {
+    const { factor, gain } = splitVolume(element, volume);
+    element.betterVolumeFactor = factor;
+
+    const value = getElementVolume(element, factor);
+    if (factor !== 1) {
+        rememberScaledVolume(element, value);
+    }
+    rampElementVolume(element, value, ramp);
+    if (element.betterVolumeGain) {
+        mediaChain.setGain(element.betterVolumeGain.gain, gain, ramp);
+    }
+}
+
+// Name an element for the popup from its title, source file or poster
+function getElementLabel(element) {
+    const name = element.title || element.getAttribute('aria-label');
+    if (name) return name;
+
+    for (const source of [element.currentSrc || element.src, element.poster]) {
+        if (!source || source.startsWith('blob:') || source.startsWith('data:')) continue;
+        try {
+            const file = new URL(source, document.baseURI).pathname.split('/').filter(Boolean).pop();
+            if (file) return decodeURIComponent(file);
+        } catch (e) {
+            // Not a usable URL, try the next source
         }
-    });
+    }
+    return `${element.nodeName === 'VIDEO' ? 'Video' : 'Audio'} ${element.betterVolumeId}`;
+}
 
-    // Start observing document
-    observer.observe(document.documentElement, {
-        childList: true,
-        subtree: true
-    });
+// List the media this frame controls: everything on the page, plus detached media that is playing
+function listElements() {
+    return getProcessedElements()
+        .filter(element => element.isConnected || !element.paused)
+        .map(element => ({
+            id: element.betterVolumeId,
+            label: getElementLabel(element),
+            type: element.nodeName.toLowerCase(),
+            playing: !element.paused,
+            fallback: !!element.betterVolumeFallback,
+            gain: element.betterVolumeRelative ?? 100,
+            playerVolume: Math.round(Math.min(1, element.betterVolumePage) * 100),
+            playerMuted: element.muted,
+            effective: Math.round(getEffectiveLevel(element) * 100)
+        }));
+}
+
+function findElement(id) {
+    return getProcessedElements().find(element => element.betterVolumeId === id);
+}
 
-    // Also set up a periodic check for new elements (some sites load elements dynamically)
-    const periodicCheck = setInterval(() => {
-        const mediaElements = document.querySelectorAll('audio, video');
-        let hasUnprocessed = false;
+// Scroll an element into view and outline it briefly, so the popup's list can be matched to the page
+function highlightElement(element) {
+    if (!element.isConnected) return;
+
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const { outline, outlineOffset } = element.style;
+    element.style.outline = '4px solid rgb(0, 100, 255)';
+    element.style.outlineOffset = '-4px';
+    setTimeout(() => {
+        element.style.outline = outline;
+        element.style.outlineOffset = outlineOffset;
+    }, 2000);
+}
 
-        for (const element of mediaElements) {
-            if (!processedElements.has(element)) {
-                hasUnprocessed = true;
-                break;
-            }
+// Find an element's shadow root, including closed ones where the browser lets extensions see them
+function getShadowRoot(element) {
+    try {
+        // Firefox
+        if ('openOrClosedShadowRoot' in element) {
+            return element.openOrClosedShadowRoot;
+        }
+        // Chromium
+        if (typeof chrome !== 'undefined' && chrome.dom && chrome.dom.openOrClosedShadowRoot) {
+            return chrome.dom.openOrClosedShadowRoot(element);
         }
+    } catch (e) {
+        // Fall back to open shadow roots only
+    }
+    return element.shadowRoot;
+}
+
+// Track roots that already have an observer
+const observedRoots = new WeakSet();
+
+// Hook media elements in a subtree
+function scanNode(node) {
+    if (node.nodeName === 'VIDEO' || node.nodeName === 'AUDIO') {
+        applyGainToElement(node);
+    }
+    if (node.querySelectorAll) {
+        node.querySelectorAll('audio, video').forEach(applyGainToElement);
+    }
+}
+
+// Hook media the interceptor reports, and start watching a reported host's shadow root.
+// Shadow roots are only found this way, so declarative shadow DOM isn't covered.
+function onReportedNode(event) {
+    const node = event.relatedTarget;
+    if (!node) return;
+
+    const shadowRoot = getShadowRoot(node);
+    if (shadowRoot) {
+        observeRoot(shadowRoot);
+    }
+    scanNode(node);
+}
 
-        if (hasUnprocessed) {
-            updateAllElements(currentVolume);
+// Watch a document or shadow root for media elements being added, and for media
+// and shadow roots the interceptor reports inside it
+function observeRoot(root) {
+    if (observedRoots.has(root)) return;
+    observedRoots.add(root);
+    root.addEventListener('bettervolume-media', onReportedNode, true);
+
+    const observer = new MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+            mutation.addedNodes.forEach(scanNode);
         }
-    }, 3000);
+    });
+    observer.observe(root, {
+        childList: true,
+        subtree: true
+    });
 
-    return { observer, periodicCheck };
+    scanNode(root);
+}
+
+// Watch the document and its shadow roots. Detached elements (new Audio()) and new
+// shadow roots arrive from the interceptor as the relatedTarget, which is shared
+// between the page and this script
+function setupMediaElementObserver() {
+    observeRoot(document);
 }
 
 // Extract domain from URL
@@ -254,20 +473,82 @@ function getDomainFromUrl(url) {
 // Track current volume
 let currentVolume = 100;
 
+// Track current processing settings, and the chain they apply to
+let currentSettings = null;
+let mediaChain = null;
+
+// Latest auto level correction and output levels reported by the page's own audio contexts
+let pageCorrection = null;
+let pageLevels = null;
+window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data) return;
+
+    if (event.data.type === 'bettervolume_autolevel') {
+        pageCorrection = event.data.correction;
+    } else if (event.data.type === 'bettervolume_levels') {
+        pageLevels = event.data.levels;
+    }
+});
+
 // Handle messages from background script
 browser.runtime.onMessage.addListener((message) => {
     // Apply volume from background
     if (message.command === "apply_volume") {
         currentVolume = message.volume;
-        updateAllElements(currentVolume);
+        updateAllElements(currentVolume, message.ramp);
+        return Promise.resolve({ success: true });
+    }
+
+    // Apply processing settings (limiter, equalizer, balance etc.) from background
+    if (message.command === "apply_audio_settings") {
+        updateSettings(message.settings);
+        applyGainToPendingElements();
+        return Promise.resolve({ success: true });
+    }
+
+    // Report the auto level correction, from frames that are processing audio
+    if (message.command === "get_auto_level") {
+        if (!mediaChain && pageCorrection === null) return false;
+
+        // Prefer whichever source is actually being corrected
+        const correction = mediaChain && mediaChain.correction !== 0 ? mediaChain.correction : (pageCorrection || 0);
+        return Promise.resolve({ correction });
+    }
+
+    // Report output levels for the popup's meter. The page's own contexts answer
+    // asynchronously, so their reading arrives in time for the next request.
+    if (message.command === "get_levels") {
+        const levels = mergeLevels([mediaChain && mediaChain.measureOutput(), pageLevels]);
+        pageLevels = null;
+        window.postMessage({ type: 'bettervolume_measure' }, '*');
+        return Promise.resolve({ levels });
+    }
+
+    // List media elements for the popup, and adjust or point out one of them
+    if (message.command === "list_media") {
+        return Promise.resolve({ elements: listElements() });
+    }
+
+    if (message.command === "set_element_gain" || message.command === "highlight_element") {
+        const element = findElement(message.id);
+        if (!element) return Promise.resolve({ success: false });
+
+        if (message.command === "set_element_gain") {
+            element.betterVolumeRelative = Math.max(0, Math.min(200, Number(message.gain) || 0));
+            applyElementVolume(element, currentVolume);
+            updateMediaChain(currentVolume);
+        } else {
+            highlightElement(element);
+        }
         return Promise.resolve({ success: true });
     }
 
-    // Check if volume control is available
+    // Check if volume control is available, and whether any media can't be boosted
     if (message.command === "check_availability") {
         // 2. This script is injected successfully
         const domain = getDomainFromUrl(window.location.href);
-        return Promise.resolve({ available: domain !== null });
+        const degraded = getProcessedElements().some(element => element.betterVolumeFallback);
+        return Promise.resolve({ available: domain !== null, degraded });
     }
 
     return false;
@@ -279,13 +560,10 @@ browser.runtime.onMessage.addListener((message) => {
     if (window.betterVolumeInitialized) return;
     window.betterVolumeInitialized = true;
 
-    // Inject early interceptor first
-    injectEarlyInterceptor();
-
     // Set up observers
     setupMediaElementObserver();
 
-    // Report that we're ready to the background script
+    // Register this frame with the background script, which applies the volume to it
     browser.runtime.sendMessage({ command: "content_script_ready" })
         .catch(() => {
             // Ignore errors, background script might not be ready yet
@@ -0,0 +1,156 @@
+/**
+ * Better Volume - Page Interceptor
+ * 
+ * Runs in the page's own world (not the content script's) before any page scripts:
+ * 1. Routes every AudioContext through a master gain and the processing chain
+ * 2. Reports media and shadow roots the content script can't see being created
+ * 3. Applies volume changes forwarded by the content script
+ * 4. Measures output levels when the content script asks
+ */
+
+(function() {
+    // Take the shared chain (js/audiochain.js) off the page's window before any page script runs
+    const { createAudioChain: buildAudioChain, mergeLevels: mergeChainLevels, FADE_IN_MIN_PAUSE } = window.betterVolumeAudioChain;
+    delete window.betterVolumeAudioChain;
+
+    // Store original constructors
+    const originalAudioContext = window.AudioContext;
+    const originalWebkitAudioContext = window.webkitAudioContext;
+
+    // Keep track of contexts and their gain nodes
+    window.betterVolumeContexts = new Set();
+    window.bvol_current = 1; // 100% volume by default
+    window.bvol_settings = null;
+
+    // Function to wrap an AudioContext
+    function wrapAudioContext(context) {
+        try {
+            const masterGain = context.createGain();
+            const originalDestination = context.destination;
+
+            // Set initial volume
+            masterGain.gain.value = window.bvol_current;
+
+            // Connect master gain to the real destination through the processing chain
+            const chain = buildAudioChain(context, originalDestination, function(correction) {
+                window.postMessage({ type: 'bettervolume_autolevel', correction: correction }, '*');
+            });
+            chain.update(window.bvol_current * 100, window.bvol_settings);
+            masterGain.connect(chain.input);
+            masterGain.betterVolumeChain = chain;
+
+            // Fade in when the page starts its audio, or resumes it after a real pause
+            let stoppedAt = null;
+            context.addEventListener('statechange', function() {
+                if (context.state !== 'running') {
+                    stoppedAt = stoppedAt ?? performance.now();
+                    return;
+                }
+
+                const shortPause = stoppedAt !== null && performance.now() - stoppedAt < FADE_IN_MIN_PAUSE;
+                stoppedAt = null;
+                const ramp = window.bvol_settings && window.bvol_settings.ramp;
+                if (!shortPause && ramp && ramp.fadeIn > 0) {
+                    chain.setGain(masterGain.gain, window.bvol_current, { curve: 'linear', duration: ramp.fadeIn }, 0);
+                }
+            });
+
+            // Override the destination property
+            Object.defineProperty(context, 'destination', {
+                get: function() {
+                    return masterGain;
+                },
+                configurable: true
+            });
+
+            // Store the gain node
+            window.betterVolumeContexts.add(masterGain);
+
+            return context;
+        } catch (e) {
+            console.error("[Better Volume] Error wrapping context:", e);
+            return context;
+        }
+    }
+
+    // Replace AudioContext
+    window.AudioContext = function() {
+        try {
+            const context = new originalAudioContext(...arguments);
+            return wrapAudioContext(context);
+        } catch (e) {
+            console.error("[Better Volume] Error creating AudioContext:", e);
+            return new originalAudioContext(...arguments);
+        }
+    };
+    window.AudioContext.prototype = originalAudioContext.prototype;
+
+    // Replace webkitAudioContext if it exists
+    if (originalWebkitAudioContext) {
+        window.webkitAudioContext = function() {
+            const context = new originalWebkitAudioContext(...arguments);
+            return wrapAudioContext(context);
+        };
+        window.webkitAudioContext.prototype = originalWebkitAudioContext.prototype;
+    }
+
+    // Report media and shadow roots the content script can't see being created:
+    // detached elements like new Audio(), and shadow roots attached to any element.
+    // The node travels as relatedTarget, which both worlds share. Nodes inside a
+    // shadow root are reported on that root, so relatedTarget isn't retargeted to its host.
+    function reportNode(node) {
+        const root = node.getRootNode();
+        const target = root instanceof ShadowRoot ? root : document;
+        target.dispatchEvent(new MouseEvent('bettervolume-media', { relatedTarget: node }));
+    }
+
+    const originalPlay = HTMLMediaElement.prototype.play;
+    HTMLMediaElement.prototype.play = function() {
+        reportNode(this);
+        return originalPlay.apply(this, arguments);
+    };
+
+    const originalAttachShadow = Element.prototype.attachShadow;
+    Element.prototype.attachShadow = function() {
+        const shadowRoot = originalAttachShadow.apply(this, arguments);
+        reportNode(this);
+        return shadowRoot;
+    };
+
+    // Listen for volume change messages
+    window.addEventListener('message', function(event) {
+        if (event.data && event.data.type === 'bettervolume_setvolume') {
+            const volume = event.data.volume / 100;
+            window.bvol_current = volume;
+            window.bvol_settings = event.data.settings;
+
+            window.betterVolumeContexts.forEach(gainNode => {
+                try {
+                    gainNode.betterVolumeChain.update(event.data.volume, event.data.settings);
+                    gainNode.betterVolumeChain.setGain(gainNode.gain, volume, event.data.ramp);
+                } catch (e) {
+                    console.error("[Better Volume] Error setting gain:", e);
+                }
+            });
+        }
+
+        // Settings changes leave the gain alone, so a fade in progress carries on
+        if (event.data && event.data.type === 'bettervolume_setsettings') {
+            window.bvol_settings = event.data.settings;
+
+            window.betterVolumeContexts.forEach(gainNode => {
+                try {
+                    gainNode.betterVolumeChain.update(event.data.volume, event.data.settings);
+                } catch (e) {
+                    console.error("[Better Volume] Error applying settings:", e);
+                }
+            });
+        }
+
+        // Measure output levels for the content script, which asks while the popup's meter is open
+        if (event.data && event.data.type === 'bettervolume_measure') {
+            const levels = [...window.betterVolumeContexts].map(gainNode => gainNode.betterVolumeChain.measureOutput());
+            window.postMessage({ type: 'bettervolume_levels', levels: mergeChainLevels(levels) }, '*');
+        }
+    });
+})();
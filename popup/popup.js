@@ -5,9 +5,20 @@
  * to the background script, which acts as the single source of truth.
  */
 
-let container, notAvailable, available, settings, sliderValue, slider, settingsButton, closeSettingsButton, settingsTable, settingsTbody, settingsNoVolumes;
+let container, notAvailable, available, settings, mixer, sliderValue, slider, scopeSelect, saveButton, linkButton, muteTabButton, muteDomainButton, soloButton, settingsButton, closeSettingsButton, settingsTable, settingsTbody, settingsNoVolumes;
 const sendVolumeChange_debounced = debounce(sendVolumeChange, 100);
 let activeTabId = null;
+let tabAvailable = false;
+
+// Settings panels in the main view, each bound to one settings key
+const settingPanels = [];
+
+// Equalizer band gains (bass, mid, treble in dB) for each preset
+const eqPresets = {
+	flat: [0, 0, 0],
+	voice: [-4, 5, 3],
+	bass: [7, 1, -1]
+};
 
 // Initialize when the document is ready
 document.addEventListener('DOMContentLoaded', () => {
@@ -15,8 +26,15 @@ document.addEventListener('DOMContentLoaded', () => {
 	notAvailable = document.getElementById("view-not-available");
 	available = document.getElementById("view-available");
 	settings = document.getElementById("view-settings");
+	mixer = document.getElementById("view-mixer");
 	sliderValue = document.getElementById("slider-value");
 	slider = document.getElementById("slider");
+	scopeSelect = document.getElementById("scope");
+	saveButton = document.getElementById("save-button");
+	linkButton = document.getElementById("link-button");
+	muteTabButton = document.getElementById("mute-tab-button");
+	muteDomainButton = document.getElementById("mute-domain-button");
+	soloButton = document.getElementById("solo-button");
 	settingsButton = document.getElementById("settings-button");
 	closeSettingsButton = document.getElementById("close-settings-button");
 	settingsTable = document.getElementById("saved-volumes");
@@ -27,6 +45,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
 async function initialize() {
 	console.log("[Better Volume] Initializing popup");
+	setupMixerButtons();
+	setupHostPermission();
 	try {
 		// Get current active tab
 		const tabs = await browser.tabs.query({ active: true, currentWindow: true });
@@ -51,8 +71,16 @@ async function initialize() {
 		}
 
 		// Update slider and text
-		sliderValue.innerText = `${response.volume || 100}%`;
-		slider.value = percentToStep(response.volume || 100);
+		tabAvailable = true;
+		showVolume(response);
+		updateLinkButton(response.linked !== false);
+		updateMuteButtons(response.mute);
+		document.getElementById("degraded-notice").classList.toggle("hidden", !response.degraded);
+		document.getElementById("private-notice").classList.toggle("hidden", !response.incognito);
+		setupSettingPanels();
+		updateSettingPanels(response.settings, response.overrides);
+		setupMediaPanel();
+		updatePlayerNotice();
 		
 		// Show UI and set current volume
 		showAvailable();
@@ -64,12 +92,34 @@ async function initialize() {
 		});
 		
 		slider.addEventListener('change', (e) => {
-			sendVolumeChange_debounced(activeTabId, stepToPercent(e.target.value));
+			sendVolumeChange_debounced(activeTabId, stepToPercent(e.target.value), scopeSelect.value);
 		});
 		
 		// Also update on input to be more responsive, but debounced
 		slider.addEventListener('input', (e) => {
-			sendVolumeChange_debounced(activeTabId, stepToPercent(e.target.value));
+			sendVolumeChange_debounced(activeTabId, stepToPercent(e.target.value), scopeSelect.value);
+		});
+
+		// Explicit save for sites that aren't saved automatically
+		saveButton.addEventListener("click", async () => {
+			await sendVolumeChange(activeTabId, stepToPercent(slider.value), scopeSelect.value, true);
+			saveButton.classList.add("hidden");
+		});
+
+		// Link toggle for this tab
+		linkButton.addEventListener("click", () => {
+			toggleTabLinked();
+		});
+
+		// Mute and solo toggles for this tab
+		muteTabButton.addEventListener("click", () => {
+			sendMuteCommand("toggle_mute_tab");
+		});
+		muteDomainButton.addEventListener("click", () => {
+			sendMuteCommand("toggle_mute_domain");
+		});
+		soloButton.addEventListener("click", () => {
+			sendMuteCommand("toggle_solo");
 		});
 
 		// Settings buttons
@@ -79,45 +129,449 @@ async function initialize() {
 		closeSettingsButton.addEventListener("click", () => {
 			showAvailable();
 		});
+		setupImportExport();
+		setupSyncToggle();
+		setupGeneralSettings();
+		setupPrivateSettings();
+		setupBadgeSettings();
+		setupSchedules();
+		setupDucking();
+		setupProfiles();
 	} catch (err) {
 		console.error("[Better Volume] Error initializing popup:", err);
+		tabAvailable = false;
 		showNotAvailable();
 	}
 }
+
+// The mixer can be opened from pages the extension can't control, and closes back to whichever view opened it
+function setupMixerButtons() {
+	document.getElementById("mixer-button").addEventListener("click", () => {
+		showMixer();
+	});
+	document.getElementById("not-available-mixer-button").addEventListener("click", () => {
+		showMixer();
+	});
+	document.getElementById("close-mixer-button").addEventListener("click", () => {
+		if (!tabAvailable) {
+			showNotAvailable();
+			return;
+		}
+		showAvailable();
+		refreshVolumes();
+	});
+}
+
+// Firefox lets users withhold access to websites, which leaves every page unavailable
+async function setupHostPermission() {
+	const origins = browser.runtime.getManifest().host_permissions || [];
+	if (!browser.permissions || await browser.permissions.contains({ origins })) return;
+
+	const notice = document.getElementById("permission-notice");
+	const button = document.getElementById("permission-button");
+	notice.classList.remove("hidden");
+	button.addEventListener("click", async () => {
+		if (!await browser.permissions.request({ origins })) return;
+		notice.querySelector("p").innerText = "Access allowed. Reload the page to change its volume.";
+		button.classList.add("hidden");
+	});
+}
+
 // Show the volume control UI
 function showAvailable() {
 	notAvailable.classList.add("hidden");
 	available.classList.remove("hidden");
 	settings.classList.add("hidden");
+	mixer.classList.add("hidden");
 }
 
 function showSettings() {
 	notAvailable.classList.add("hidden");
 	available.classList.add("hidden");
 	settings.classList.remove("hidden");
+	mixer.classList.add("hidden");
 	populateSettingsTable();
 }
 
+// Show the mixer, refreshing it while it stays open
+function showMixer() {
+	notAvailable.classList.add("hidden");
+	available.classList.add("hidden");
+	settings.classList.add("hidden");
+	mixer.classList.remove("hidden");
+	updateMixer();
+}
+
 // Show the "not available" message
 function showNotAvailable() {
 	notAvailable.classList.remove("hidden");
 	available.classList.add("hidden");
 	settings.classList.add("hidden");
+	mixer.classList.add("hidden");
+}
+
+// Show the tab's volume, the rules it can be saved under and any schedule changing it
+function showVolume(response) {
+	sliderValue.innerText = `${response.volume ?? 100}%`;
+	slider.value = percentToStep(response.volume ?? 100);
+	populateScopeSelect(response.scopes || [], response.rule);
+	saveButton.classList.toggle("hidden", response.autoSave !== false || response.rule !== null);
+	updateScheduleNotice(response.schedule);
+}
+
+// Level meter: the tab is only measured while the volume view is showing
+const METER_FLOOR = -60;  // dB at the left end of the meter
+const CLIP_HOLD = 1500;   // ms to keep the clip warning up, so short clips are noticed
+let clipUntil = 0;
+let levelsPending = false;
+
+// Skip a tick while the last request is still out, so a slow tab doesn't pile them up
+setInterval(async () => {
+	if (levelsPending || activeTabId === null || !available || available.classList.contains("hidden")) return;
+
+	levelsPending = true;
+	try {
+		await updateLevelMeter();
+	} finally {
+		levelsPending = false;
+	}
+}, 100);
+
+// Place a linear level on the meter, in percent of its width
+function levelToPercent(level) {
+	if (!(level > 0)) return 0;
+	const db = 20 * Math.log10(level);
+	return Math.max(0, Math.min(100, (1 - db / METER_FLOOR) * 100));
+}
+
+// Fetch the tab's output levels and show them under the slider
+async function updateLevelMeter() {
+	let response;
+	try {
+		response = await browser.runtime.sendMessage({ command: "get_levels", tabId: activeTabId });
+	} catch (err) {
+		console.error("[Better Volume] Error getting levels:", err);
+		return;
+	}
+
+	const levels = response && response.levels;
+	document.getElementById("level-meter-bar").style.width = `${levels ? levelToPercent(levels.rms) : 0}%`;
+	document.getElementById("level-meter-peak").style.left = `${levels ? levelToPercent(levels.peak) : 0}%`;
+
+	if (levels && levels.clipped) {
+		clipUntil = Date.now() + CLIP_HOLD;
+	}
+	const clipping = Date.now() < clipUntil;
+	document.getElementById("level-meter").classList.toggle("clipping", clipping);
+	document.getElementById("clip-warning").classList.toggle("hidden", !clipping);
 }
 
 // Send volume change to background script
-async function sendVolumeChange(tabId, volume) {
+async function sendVolumeChange(tabId, volume, rule, save = false) {
 	try {
 		await browser.runtime.sendMessage({
 			command: "set_volume",
 			tabId: tabId,
-			volume: volume
+			volume: volume,
+			rule: rule || undefined,
+			save: save
 		});
+		updatePlayerNotice();
 	} catch (err) {
 		console.error("[Better Volume] Error sending volume change:", err);
 	}
 }
 
+// Say when the site's own player is turned down or muted, and what the tab actually plays at
+async function updatePlayerNotice() {
+	const notice = document.getElementById("player-notice");
+	let response;
+	try {
+		response = await browser.runtime.sendMessage({ command: "get_tab_media", tabId: activeTabId });
+	} catch (err) {
+		console.error("[Better Volume] Error getting media:", err);
+		return;
+	}
+
+	// Describe the loudest playing element, or the loudest one if none are playing
+	const elements = response ? response.elements : [];
+	const candidates = elements.some(element => element.playing) ? elements.filter(element => element.playing) : elements;
+	const element = candidates.sort((a, b) => b.effective - a.effective)[0];
+	if (!element || (!element.playerMuted && element.playerVolume >= 100)) {
+		notice.classList.add("hidden");
+		return;
+	}
+
+	notice.innerText = element.playerMuted
+		? "The site's own player is muted."
+		: `The site's own player is at ${element.playerVolume}%, so this plays at ${element.effective}%.`;
+	notice.classList.remove("hidden");
+}
+
+// Reflect whether the tab follows its site volume
+function updateLinkButton(linked) {
+	linkButton.dataset.linked = linked;
+	linkButton.classList.toggle("active", !linked);
+	linkButton.innerText = linked ? "🔗 Linked" : "🔓 Unlinked";
+	linkButton.title = linked
+		? "Unlink this tab from the site volume"
+		: "Relink this tab to the site volume";
+	scopeSelect.disabled = !linked;
+}
+
+// Unlink the tab from its site volume, or relink it
+async function toggleTabLinked() {
+	try {
+		const response = await browser.runtime.sendMessage({
+			command: "set_tab_linked",
+			tabId: activeTabId,
+			linked: linkButton.dataset.linked !== "true"
+		});
+		if (!response || !response.success) return;
+
+		updateLinkButton(response.linked);
+		sliderValue.innerText = `${response.volume}%`;
+		slider.value = percentToStep(response.volume);
+	} catch (err) {
+		console.error("[Better Volume] Error toggling tab link:", err);
+	}
+}
+
+// Reflect the tab, site and solo mute state
+function updateMuteButtons(mute) {
+	if (!mute) return;
+	muteTabButton.classList.toggle("active", mute.tab);
+	muteDomainButton.classList.toggle("active", mute.domain);
+	soloButton.classList.toggle("active", mute.solo);
+	sliderValue.classList.toggle("muted", mute.muted);
+}
+
+// Send a mute or solo toggle to the background script
+async function sendMuteCommand(command) {
+	try {
+		const response = await browser.runtime.sendMessage({
+			command: command,
+			tabId: activeTabId
+		});
+		if (response && response.success) {
+			updateMuteButtons(response.mute);
+		}
+	} catch (err) {
+		console.error("[Better Volume] Error toggling mute:", err);
+	}
+}
+
+// Bind the controls of each settings panel to its background command
+function setupSettingPanels() {
+	const limiterMode = document.getElementById("limiter-mode");
+	const limiterThreshold = document.getElementById("limiter-threshold");
+	const limiterThresholdValue = document.getElementById("limiter-threshold-value");
+	setupSettingPanel("limiter-panel", "set_limiter", "limiter",
+		() => ({
+			mode: limiterMode.value,
+			threshold: Number(limiterThreshold.value)
+		}),
+		(limiter) => {
+			limiterMode.value = limiter.mode;
+			limiterThreshold.value = limiter.threshold;
+			limiterThresholdValue.innerText = `${limiter.threshold} dB`;
+		}
+	);
+
+	// Picking a preset moves the band sliders; moving a slider makes it custom
+	const eqPreset = document.getElementById("eq-preset");
+	const eqBands = [...document.querySelectorAll(".eq-band")];
+	const eqBandValues = [...document.querySelectorAll(".eq-band-value")];
+	eqPreset.addEventListener("input", () => {
+		const bands = eqPresets[eqPreset.value];
+		if (bands) {
+			eqBands.forEach((input, index) => input.value = bands[index]);
+		}
+	});
+	eqBands.forEach(input => input.addEventListener("input", () => {
+		eqPreset.value = "custom";
+	}));
+	setupSettingPanel("eq-panel", "set_eq", "eq",
+		() => ({
+			preset: eqPreset.value,
+			bands: eqBands.map(input => Number(input.value))
+		}),
+		(eq) => {
+			eqPreset.value = eq.preset;
+			eqBands.forEach((input, index) => {
+				input.value = eq.bands[index];
+				eqBandValues[index].innerText = `${eq.bands[index]} dB`;
+			});
+		}
+	);
+
+	const balancePan = document.getElementById("balance-pan");
+	const balancePanValue = document.getElementById("balance-pan-value");
+	const balanceMono = document.getElementById("balance-mono");
+	setupSettingPanel("balance-panel", "set_balance", "balance",
+		() => ({
+			pan: Number(balancePan.value),
+			mono: balanceMono.checked
+		}),
+		(balance) => {
+			balancePan.value = balance.pan;
+			balanceMono.checked = balance.mono;
+			if (balance.pan === 0) {
+				balancePanValue.innerText = "Center";
+			} else {
+				balancePanValue.innerText = `${balance.pan < 0 ? "L" : "R"} ${Math.abs(balance.pan)}`;
+			}
+		}
+	);
+
+	const autoLevelEnabled = document.getElementById("auto-level-enabled");
+	const autoLevelTarget = document.getElementById("auto-level-target");
+	const autoLevelTargetValue = document.getElementById("auto-level-target-value");
+	const autoLevelMaxBoost = document.getElementById("auto-level-max-boost");
+	const autoLevelMaxBoostValue = document.getElementById("auto-level-max-boost-value");
+	setupSettingPanel("auto-level-panel", "set_auto_level", "autoLevel",
+		() => ({
+			enabled: autoLevelEnabled.checked,
+			target: Number(autoLevelTarget.value),
+			maxBoost: Number(autoLevelMaxBoost.value)
+		}),
+		(autoLevel) => {
+			autoLevelEnabled.checked = autoLevel.enabled;
+			autoLevelTarget.value = autoLevel.target;
+			autoLevelTargetValue.innerText = `${autoLevel.target} dB`;
+			autoLevelMaxBoost.value = autoLevel.maxBoost;
+			autoLevelMaxBoostValue.innerText = `${autoLevel.maxBoost} dB`;
+		}
+	);
+
+	// Volume changes ramp over the duration; fade-in applies when playback starts
+	const rampCurve = document.getElementById("ramp-curve");
+	const rampDuration = document.getElementById("ramp-duration");
+	const rampDurationValue = document.getElementById("ramp-duration-value");
+	const rampFadeIn = document.getElementById("ramp-fade-in");
+	const rampFadeInValue = document.getElementById("ramp-fade-in-value");
+	setupSettingPanel("ramp-panel", "set_ramp", "ramp",
+		() => ({
+			curve: rampCurve.value,
+			duration: Number(rampDuration.value),
+			fadeIn: Number(rampFadeIn.value)
+		}),
+		(ramp) => {
+			rampCurve.value = ramp.curve;
+			rampDuration.value = ramp.duration;
+			rampDurationValue.innerText = ramp.duration === 0 ? "Off" : `${ramp.duration} ms`;
+			rampFadeIn.value = ramp.fadeIn;
+			rampFadeInValue.innerText = ramp.fadeIn === 0 ? "Off" : `${ramp.fadeIn / 1000} s`;
+		}
+	);
+
+	// Hand off lets the site's slider follow volumes below 100%
+	const handOff = document.getElementById("player-hand-off");
+	setupSettingPanel("player-panel", "set_player", "player",
+		() => ({
+			handOff: handOff.checked
+		}),
+		(player) => {
+			handOff.checked = player.handOff;
+		}
+	);
+
+	const neverHook = document.getElementById("compatibility-never-hook");
+	setupSettingPanel("compatibility-panel", "set_compatibility", "compatibility",
+		() => ({
+			neverHook: neverHook.checked
+		}),
+		(compatibility) => {
+			neverHook.checked = compatibility.neverHook;
+		}
+	);
+
+	// Show the applied correction while the panel is open
+	const autoLevelPanel = document.getElementById("auto-level-panel");
+	let autoLevelTimer = null;
+	autoLevelPanel.addEventListener("toggle", () => {
+		clearInterval(autoLevelTimer);
+		autoLevelTimer = null;
+		if (autoLevelPanel.open) {
+			updateAutoLevelCorrection();
+			autoLevelTimer = setInterval(updateAutoLevelCorrection, 1000);
+		}
+	});
+}
+
+// Fetch and show the auto level correction currently applied to the tab
+async function updateAutoLevelCorrection() {
+	const correctionText = document.getElementById("auto-level-correction");
+	if (!document.getElementById("auto-level-enabled").checked) {
+		correctionText.innerText = "";
+		return;
+	}
+
+	try {
+		const response = await browser.runtime.sendMessage({
+			command: "get_auto_level",
+			tabId: activeTabId
+		});
+		const correction = response ? response.correction : null;
+		correctionText.innerText = correction === null
+			? "No audio"
+			: `Correction ${correction > 0 ? "+" : ""}${correction} dB`;
+	} catch (err) {
+		console.error("[Better Volume] Error getting auto level:", err);
+	}
+}
+
+/**
+ * Wire up one settings panel. `read` collects the value from its controls and
+ * `write` shows a value in them. Changes are saved for this site; the footer
+ * buttons clear the site's value or make the current value the global default.
+ */
+function setupSettingPanel(id, command, key, read, write) {
+	const panel = document.getElementById(id);
+	const source = panel.querySelector(".panel-source");
+	const save = (value, scope) => sendSettingChange(command, value, scope);
+	const save_debounced = debounce(save, 100);
+
+	panel.addEventListener("input", () => {
+		write(read());
+		save_debounced(read(), "site");
+	});
+	panel.querySelector(".panel-reset").addEventListener("click", () => {
+		save(null, "site");
+	});
+	panel.querySelector(".panel-global").addEventListener("click", () => {
+		save(read(), "global");
+	});
+
+	settingPanels.push({ key, write, source });
+}
+
+// Show effective settings, and whether each comes from this site or the default
+function updateSettingPanels(settings, overrides = []) {
+	if (!settings) return;
+	settingPanels.forEach(panel => {
+		panel.write(settings[panel.key]);
+		panel.source.innerText = overrides.includes(panel.key) ? "(this site)" : "(default)";
+	});
+}
+
+// Send a settings change to the background script
+async function sendSettingChange(command, value, scope) {
+	try {
+		const response = await browser.runtime.sendMessage({
+			command: command,
+			tabId: activeTabId,
+			value: value,
+			scope: scope
+		});
+		if (response && response.success) {
+			updateSettingPanels(response.settings, response.overrides);
+		}
+	} catch (err) {
+		console.error("[Better Volume] Error sending settings change:", err);
+	}
+}
+
 // Convert between slider steps and percentage
 function stepToPercent(raw) {
 	if (raw > 10) {
@@ -133,6 +587,48 @@ function percentToStep(percent) {
 	return percent;
 }
 
+// Describe a saved rule the same way the background script classifies it
+function getRuleType(rule) {
+	if (rule.startsWith('*.')) return 'wildcard';
+	if (rule.includes('/')) return 'path';
+	return 'host';
+}
+
+const ruleTypeLabels = {
+	host: "Site",
+	wildcard: "Subdomains",
+	path: "Path"
+};
+
+const scopeLabels = {
+	host: "this site",
+	wildcard: "all subdomains",
+	path: "this path"
+};
+
+// Fill the "Save for" select with the rules this tab could be saved under
+function populateScopeSelect(scopes, currentRule) {
+	scopeSelect.innerHTML = "";
+
+	scopes.forEach(scope => {
+		const option = document.createElement("option");
+		option.value = scope.rule;
+		option.innerText = `${scope.rule} (${scopeLabels[scope.type]})`;
+		scopeSelect.appendChild(option);
+	});
+
+	// A saved rule from elsewhere (e.g. a shorter path) still applies to this tab
+	if (currentRule && !scopes.some(scope => scope.rule === currentRule)) {
+		const option = document.createElement("option");
+		option.value = currentRule;
+		option.innerText = `${currentRule} (saved)`;
+		scopeSelect.insertBefore(option, scopeSelect.firstChild);
+	}
+
+	scopeSelect.value = currentRule || scopes.find(scope => scope.type === "host")?.rule || "";
+	scopeSelect.parentElement.classList.toggle("hidden", scopes.length === 0);
+}
+
 // Utility function to debounce function calls
 function debounce(func, delay) {
 	let timeout;
@@ -146,9 +642,9 @@ function debounce(func, delay) {
 }
 
 async function populateSettingsTable() {
-	const volumes = await browser.storage.local.get('domainVolumes');
-	volumes.domains = volumes.domainVolumes || {};
+	const volumes = await browser.runtime.sendMessage({ command: "get_saved_volumes", tabId: activeTabId });
 	settingsTbody.innerHTML = "";
+	settingsNoVolumes.innerText = volumes.incognito ? "No volumes set in private windows." : "No volumes saved.";
 
 	if (Object.keys(volumes.domains).length === 0) {
 		settingsNoVolumes.classList.remove("hidden");
@@ -171,6 +667,10 @@ async function populateSettingsTable() {
 
 		const domainCell = document.createElement("td");
 		domainCell.innerText = domain;
+		domainCell.title = domain;
+
+		const typeCell = document.createElement("td");
+		typeCell.innerText = ruleTypeLabels[getRuleType(domain)];
 
 		const volumeCell = document.createElement("td");
 		volumeCell.innerText = volumes.domains[domain] + "%";
@@ -178,19 +678,577 @@ async function populateSettingsTable() {
 		deleteCell.appendChild(deleteButton);
 		row.appendChild(deleteCell);
 		row.appendChild(domainCell);
+		row.appendChild(typeCell);
 		row.appendChild(volumeCell);
 		
 		settingsTbody.appendChild(row);
 	}
 }
 
+// Wire up the default volume and auto save controls in the settings view
+async function setupGeneralSettings() {
+	const defaultVolume = document.getElementById("default-volume");
+	const autoSave = document.getElementById("auto-save");
+
+	const general = await browser.runtime.sendMessage({ command: "get_general_settings" });
+	defaultVolume.value = general.defaultVolume;
+	autoSave.checked = general.autoSave;
+
+	const save = async () => {
+		const response = await browser.runtime.sendMessage({
+			command: "set_general_settings",
+			value: {
+				defaultVolume: defaultVolume.value === "" ? null : Number(defaultVolume.value),
+				autoSave: autoSave.checked
+			}
+		});
+		if (response && response.success) {
+			defaultVolume.value = response.general.defaultVolume;
+		}
+	};
+	defaultVolume.addEventListener("change", save);
+	autoSave.addEventListener("change", save);
+}
+
+// Wire up how private windows use and share volumes
+async function setupPrivateSettings() {
+	const seed = document.getElementById("private-seed");
+	const share = document.getElementById("private-share");
+
+	const response = await browser.runtime.sendMessage({ command: "get_private_settings" });
+	seed.checked = response.private.seed;
+	share.checked = response.private.share;
+
+	const save = () => browser.runtime.sendMessage({
+		command: "set_private_settings",
+		value: {
+			seed: seed.checked,
+			share: share.checked
+		}
+	});
+	seed.addEventListener("change", save);
+	share.addEventListener("change", save);
+}
+
+// Wire up the badge and toolbar icon options
+async function setupBadgeSettings() {
+	const hideDefault = document.getElementById("badge-hide-default");
+	const colorByLevel = document.getElementById("badge-color-by-level");
+	const dynamicIcon = document.getElementById("badge-dynamic-icon");
+
+	const response = await browser.runtime.sendMessage({ command: "get_badge_settings" });
+	hideDefault.checked = response.badge.hideDefault;
+	colorByLevel.checked = response.badge.colorByLevel;
+	dynamicIcon.checked = response.badge.dynamicIcon;
+
+	const save = () => browser.runtime.sendMessage({
+		command: "set_badge_settings",
+		value: {
+			hideDefault: hideDefault.checked,
+			colorByLevel: colorByLevel.checked,
+			dynamicIcon: dynamicIcon.checked
+		}
+	});
+	[hideDefault, colorByLevel, dynamicIcon].forEach(input => input.addEventListener("change", save));
+}
+
+// List the page's media when the panel opens
+function setupMediaPanel() {
+	const panel = document.getElementById("media-panel");
+	panel.addEventListener("toggle", () => {
+		if (panel.open) {
+			populateMediaList();
+		}
+	});
+}
+
+// Show a row per media element: its label (click to point it out on the page) and a relative gain slider
+async function populateMediaList() {
+	const response = await browser.runtime.sendMessage({
+		command: "get_tab_media",
+		tabId: activeTabId
+	});
+	const elements = response ? response.elements : [];
+	const list = document.getElementById("media-list");
+	list.innerHTML = "";
+	document.getElementById("media-count").innerText = `(${elements.length})`;
+	document.getElementById("no-media").classList.toggle("hidden", elements.length > 0);
+
+	elements.forEach(element => {
+		const row = document.createElement("li");
+		row.className = "panel-row";
+
+		const label = document.createElement("button");
+		label.className = "media-label";
+		label.innerText = `${element.playing ? "▶ " : ""}${element.label}`;
+		label.title = `Show this on the page\nSite player: ${element.playerMuted ? "muted" : `${element.playerVolume}%`}, plays at ${element.effective}%`;
+		label.addEventListener("click", () => {
+			browser.runtime.sendMessage({
+				command: "highlight_element",
+				tabId: activeTabId,
+				frameId: element.frameId,
+				elementId: element.id
+			});
+		});
+
+		const gain = document.createElement("input");
+		gain.type = "range";
+		gain.min = 0;
+		gain.max = element.fallback ? 100 : 200;
+		gain.step = 5;
+		gain.value = element.gain;
+
+		const value = document.createElement("span");
+		value.className = "panel-value";
+		value.innerText = `${element.gain}%`;
+
+		const sendGain_debounced = debounce(() => {
+			browser.runtime.sendMessage({
+				command: "set_element_gain",
+				tabId: activeTabId,
+				frameId: element.frameId,
+				elementId: element.id,
+				gain: Number(gain.value)
+			});
+		}, 100);
+		gain.addEventListener("input", () => {
+			value.innerText = `${gain.value}%`;
+			sendGain_debounced();
+		});
+
+		row.appendChild(label);
+		row.appendChild(gain);
+		row.appendChild(value);
+		list.appendChild(row);
+	});
+}
+
+// Mixer rows by tab ID, kept between refreshes so sliders aren't replaced mid-drag
+const mixerRows = new Map();
+
+setInterval(() => {
+	if (mixer && !mixer.classList.contains("hidden")) {
+		updateMixer();
+	}
+}, 1000);
+
+// Fetch every tab with audio or its own volume and show a row for each
+async function updateMixer() {
+	let response;
+	try {
+		response = await browser.runtime.sendMessage({ command: "get_mixer" });
+	} catch (err) {
+		console.error("[Better Volume] Error getting mixer tabs:", err);
+		return;
+	}
+
+	const list = document.getElementById("mixer-list");
+	const tabIds = new Set(response.tabs.map(tab => tab.id));
+	for (const [tabId, row] of mixerRows) {
+		if (!tabIds.has(tabId)) {
+			row.element.remove();
+			mixerRows.delete(tabId);
+		}
+	}
+
+	response.tabs.forEach(tab => {
+		if (!mixerRows.has(tab.id)) {
+			const row = createMixerRow(tab);
+			mixerRows.set(tab.id, row);
+			list.appendChild(row.element);
+		}
+		mixerRows.get(tab.id).update(tab);
+	});
+	document.getElementById("no-mixer-tabs").classList.toggle("hidden", response.tabs.length > 0);
+}
+
+// Build one mixer row: favicon and title (click to jump to the tab), mute button and slider
+function createMixerRow(tab) {
+	const element = document.createElement("li");
+	element.className = "mixer-row";
+
+	const jump = document.createElement("button");
+	jump.className = "mixer-title";
+	jump.title = "Go to this tab";
+	const icon = document.createElement("img");
+	icon.className = "mixer-icon";
+	const title = document.createElement("span");
+	jump.appendChild(icon);
+	jump.appendChild(title);
+
+	const mute = document.createElement("button");
+	mute.className = "control-button";
+
+	const rowSlider = document.createElement("input");
+	rowSlider.type = "range";
+	rowSlider.min = 0;
+	rowSlider.max = 69;
+	const value = document.createElement("span");
+	value.className = "mixer-value";
+
+	const controls = document.createElement("div");
+	controls.className = "mixer-controls";
+	controls.appendChild(mute);
+	controls.appendChild(rowSlider);
+	controls.appendChild(value);
+	element.appendChild(jump);
+	element.appendChild(controls);
+
+	let dragging = false;
+	const sendRowVolume_debounced = debounce((volume) => sendVolumeChange(tab.id, volume), 100);
+	rowSlider.addEventListener("input", () => {
+		dragging = true;
+		const volume = stepToPercent(Number(rowSlider.value));
+		value.innerText = `${volume}%`;
+		sendRowVolume_debounced(volume);
+	});
+	rowSlider.addEventListener("change", () => {
+		dragging = false;
+	});
+	mute.addEventListener("click", async () => {
+		await browser.runtime.sendMessage({ command: "toggle_mute_tab", tabId: tab.id });
+		updateMixer();
+	});
+	jump.addEventListener("click", async () => {
+		await browser.tabs.update(tab.id, { active: true });
+		await browser.windows.update(tab.windowId, { focused: true });
+		window.close();
+	});
+
+	return {
+		element,
+		update(state) {
+			title.innerText = state.title;
+			jump.title = `Go to ${state.title}`;
+			icon.src = state.favIconUrl || "";
+			icon.classList.toggle("hidden", !state.favIconUrl);
+			element.classList.toggle("audible", state.audible);
+			mute.innerText = state.mute.tab ? "🔊" : "🔇";
+			mute.title = state.mute.tab ? "Unmute this tab" : "Mute this tab";
+			if (!dragging) {
+				rowSlider.value = percentToStep(state.volume);
+				value.innerText = state.mute.muted ? "Muted" : `${state.volume}%`;
+			}
+		}
+	};
+}
+
+// Wire up the profile switcher in the main view and profile management in the settings view
+async function setupProfiles() {
+	const profileSelect = document.getElementById("profile");
+	const profileName = document.getElementById("profile-name");
+
+	// Every profile command answers with the updated profile list
+	const send = async (message) => {
+		const response = await browser.runtime.sendMessage(message);
+		if (!response || !response.success) {
+			console.error("[Better Volume] Error changing profile:", response?.error);
+			return;
+		}
+		populateProfiles(response);
+		refreshVolumes();
+	};
+
+	profileSelect.addEventListener("change", () => {
+		send({ command: "set_active_profile", id: profileSelect.value });
+	});
+	profileName.addEventListener("change", () => {
+		send({ command: "rename_profile", id: profileSelect.value, name: profileName.value });
+	});
+	document.getElementById("profile-new").addEventListener("click", () => {
+		send({ command: "create_profile", name: `Profile ${profileSelect.options.length + 1}` });
+	});
+	document.getElementById("profile-delete").addEventListener("click", () => {
+		send({ command: "delete_profile", id: profileSelect.value });
+	});
+
+	populateProfiles(await browser.runtime.sendMessage({ command: "get_profiles" }));
+}
+
+// Fill the profile switcher; it only shows once there is more than one profile
+function populateProfiles({ active, profiles }) {
+	const profileSelect = document.getElementById("profile");
+	profileSelect.innerHTML = "";
+	profiles.forEach(profile => {
+		const option = document.createElement("option");
+		option.value = profile.id;
+		option.innerText = profile.name;
+		profileSelect.appendChild(option);
+	});
+	profileSelect.value = active;
+
+	const current = profiles.find(profile => profile.id === active);
+	document.getElementById("profile-name").value = current ? current.name : "";
+	document.getElementById("profile-delete").disabled = active === "default";
+	document.getElementById("profile-container").classList.toggle("hidden", profiles.length < 2);
+}
+
+// Re-read volumes changed outside the main slider, by switching profile or in the mixer
+async function refreshVolumes() {
+	const response = await browser.runtime.sendMessage({
+		command: "get_volume",
+		tabId: activeTabId
+	});
+	if (response && response.available) {
+		showVolume(response);
+	}
+
+	const general = await browser.runtime.sendMessage({ command: "get_general_settings" });
+	document.getElementById("default-volume").value = general.defaultVolume;
+	populateSettingsTable();
+}
+
+// Explain why the tab isn't playing at the slider's volume while a schedule is changing it
+function updateScheduleNotice(schedule) {
+	const notice = document.getElementById("schedule-notice");
+	notice.classList.toggle("hidden", !schedule);
+	if (!schedule) return;
+
+	const action = schedule.mode === "set" ? "plays this tab at" : "limits this tab to";
+	const until = schedule.start === schedule.end ? "" : ` until ${schedule.end}`;
+	notice.innerText = `A schedule ${action} ${schedule.effectiveVolume}%${until}.`;
+}
+
+// Day names for the schedule list, indexed like Date.getDay()
+const dayLabels = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Wire up the ducking settings; priority sites are entered as a comma separated list
+async function setupDucking() {
+	const enabled = document.getElementById("ducking-enabled");
+	const rules = document.getElementById("ducking-rules");
+	const amount = document.getElementById("ducking-amount");
+	const amountValue = document.getElementById("ducking-amount-value");
+	const fade = document.getElementById("ducking-fade");
+	const fadeValue = document.getElementById("ducking-fade-value");
+	const error = document.getElementById("ducking-error");
+
+	const show = (ducking) => {
+		enabled.checked = ducking.enabled;
+		rules.value = ducking.rules.join(", ");
+		amount.value = ducking.amount;
+		amountValue.innerText = `${ducking.amount}%`;
+		fade.value = ducking.fade;
+		fadeValue.innerText = ducking.fade === 0 ? "Off" : `${ducking.fade / 1000} s`;
+	};
+
+	const save = async () => {
+		const response = await browser.runtime.sendMessage({
+			command: "set_ducking",
+			value: {
+				enabled: enabled.checked,
+				rules: rules.value.split(","),
+				amount: Number(amount.value),
+				fade: Number(fade.value)
+			}
+		});
+
+		if (!response || !response.success) {
+			error.innerText = response?.error || "Couldn't save the ducking settings";
+			error.classList.remove("hidden");
+			return;
+		}
+		error.classList.add("hidden");
+		show(response.ducking);
+	};
+	enabled.addEventListener("change", save);
+	rules.addEventListener("change", save);
+	amount.addEventListener("input", () => amountValue.innerText = `${amount.value}%`);
+	amount.addEventListener("change", save);
+	fade.addEventListener("input", () => fadeValue.innerText = fade.value === "0" ? "Off" : `${fade.value / 1000} s`);
+	fade.addEventListener("change", save);
+
+	const response = await browser.runtime.sendMessage({ command: "get_ducking" });
+	show(response.ducking);
+}
+
+// Wire up the schedule list and the form that adds or edits schedules
+async function setupSchedules() {
+	const form = document.getElementById("schedule-form");
+	const rule = document.getElementById("schedule-rule");
+	const start = document.getElementById("schedule-start");
+	const end = document.getElementById("schedule-end");
+	const days = [...document.querySelectorAll("#schedule-days input")];
+	const mode = document.getElementById("schedule-mode");
+	const volume = document.getElementById("schedule-volume");
+	const error = document.getElementById("schedule-error");
+	const submit = document.getElementById("schedule-submit");
+	const cancel = document.getElementById("schedule-cancel");
+	let editing = null;
+
+	// Fill the form with a schedule to edit, or clear it for a new one
+	const edit = (schedule) => {
+		editing = schedule;
+		rule.value = schedule ? schedule.rule || "" : "";
+		start.value = schedule ? schedule.start : "22:00";
+		end.value = schedule ? schedule.end : "07:00";
+		days.forEach(input => input.checked = schedule ? schedule.days.includes(Number(input.value)) : false);
+		mode.value = schedule ? schedule.mode : "cap";
+		volume.value = schedule ? schedule.volume : 40;
+		submit.innerText = schedule ? "Save" : "Add";
+		cancel.classList.toggle("hidden", !schedule);
+		error.classList.add("hidden");
+	};
+
+	form.addEventListener("submit", async (e) => {
+		e.preventDefault();
+		const response = await browser.runtime.sendMessage({
+			command: "save_schedule",
+			schedule: {
+				id: editing ? editing.id : undefined,
+				enabled: editing ? editing.enabled : true,
+				rule: rule.value.trim() || null,
+				days: days.filter(input => input.checked).map(input => Number(input.value)),
+				start: start.value,
+				end: end.value,
+				mode: mode.value,
+				volume: Number(volume.value)
+			}
+		});
+
+		if (!response || !response.success) {
+			error.innerText = response?.error || "Couldn't save the schedule";
+			error.classList.remove("hidden");
+			return;
+		}
+		edit(null);
+		populateScheduleList(response.schedules, edit);
+	});
+	cancel.addEventListener("click", () => {
+		edit(null);
+	});
+
+	const response = await browser.runtime.sendMessage({ command: "get_schedules" });
+	populateScheduleList(response.schedules, edit);
+}
+
+// Show saved schedules; clicking one loads it into the form
+function populateScheduleList(schedules, edit) {
+	const table = document.getElementById("schedule-list");
+	const tbody = table.querySelector("tbody");
+	tbody.innerHTML = "";
+	table.classList.toggle("hidden", schedules.length === 0);
+	document.getElementById("no-schedules").classList.toggle("hidden", schedules.length > 0);
+
+	const save = async (schedule) => {
+		const response = await browser.runtime.sendMessage({ command: "save_schedule", schedule });
+		if (response && response.success) {
+			populateScheduleList(response.schedules, edit);
+		}
+	};
+
+	schedules.forEach(schedule => {
+		const row = document.createElement("tr");
+
+		const deleteCell = document.createElement("td");
+		const deleteButton = document.createElement("button");
+		deleteButton.title = "Delete this schedule";
+		deleteButton.innerText = "🗑️";
+		deleteButton.addEventListener("click", async () => {
+			const response = await browser.runtime.sendMessage({ command: "delete_schedule", id: schedule.id });
+			if (response && response.success) {
+				populateScheduleList(response.schedules, edit);
+			}
+		});
+
+		const enabledCell = document.createElement("td");
+		const enabled = document.createElement("input");
+		enabled.type = "checkbox";
+		enabled.title = "Enabled";
+		enabled.checked = schedule.enabled;
+		enabled.addEventListener("change", () => {
+			save({ ...schedule, enabled: enabled.checked });
+		});
+
+		const descriptionCell = document.createElement("td");
+		const dayText = schedule.days.length === 0 ? "Every day" : schedule.days.map(day => dayLabels[day]).join(" ");
+		const timeText = schedule.start === schedule.end ? "all day" : `${schedule.start}–${schedule.end}`;
+		const actionText = schedule.mode === "set" ? "play at" : "limit to";
+		descriptionCell.innerText = `${schedule.rule || "All sites"}, ${dayText} ${timeText}: ${actionText} ${schedule.volume}%`;
+		descriptionCell.title = "Edit this schedule";
+		descriptionCell.addEventListener("click", () => {
+			edit(schedule);
+		});
+
+		deleteCell.appendChild(deleteButton);
+		enabledCell.appendChild(enabled);
+		row.appendChild(deleteCell);
+		row.appendChild(enabledCell);
+		row.appendChild(descriptionCell);
+
+		tbody.appendChild(row);
+	});
+}
+
+// Wire up the sync checkbox in the settings view
+async function setupSyncToggle() {
+	const syncEnabled = document.getElementById("sync-enabled");
+
+	const status = await browser.runtime.sendMessage({ command: "get_sync_status" });
+	updateSyncStatus(status);
+
+	syncEnabled.addEventListener("change", async () => {
+		syncEnabled.disabled = true;
+		const response = await browser.runtime.sendMessage({
+			command: "set_sync_enabled",
+			enabled: syncEnabled.checked
+		});
+		syncEnabled.disabled = false;
+
+		if (!response || !response.success) {
+			updateSyncStatus({ syncEnabled: !syncEnabled.checked, syncError: response?.error || "Couldn't switch storage" });
+			return;
+		}
+		updateSyncStatus(response);
+		populateSettingsTable();
+	});
+}
+
+function updateSyncStatus(status) {
+	const syncError = document.getElementById("sync-error");
+	document.getElementById("sync-enabled").checked = status.syncEnabled;
+	syncError.innerText = status.syncError || "";
+	syncError.classList.toggle("hidden", !status.syncError);
+}
+
+// Wire up the export and import buttons in the settings view
+function setupImportExport() {
+	document.getElementById("export-button").addEventListener("click", () => {
+		exportSettings();
+	});
+	// The file picker would close the popup in Firefox, so imports get their own tab
+	document.getElementById("import-button").addEventListener("click", async () => {
+		await browser.tabs.create({ url: browser.runtime.getURL("import/import.html") });
+		window.close();
+	});
+}
+
+// Download everything saved as a JSON file
+async function exportSettings() {
+	try {
+		const data = await browser.runtime.sendMessage({ command: "export_settings" });
+		const blob = new Blob([JSON.stringify(data, null, "\t")], { type: "application/json" });
+		const url = URL.createObjectURL(blob);
+
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = `better-volume-${new Date().toISOString().slice(0, 10)}.json`;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	} catch (err) {
+		console.error("[Better Volume] Error exporting settings:", err);
+	}
+}
+
 async function deleteVolume(domain) {
 	const response = await browser.runtime.sendMessage({
 		command: "delete_volume",
 		domain: domain,
 		tabId: activeTabId
 	});
-	sliderValue.innerText = `${response.volume || 100}%`;
-	slider.value = percentToStep(response.volume || 100);
+	sliderValue.innerText = `${response.volume ?? 100}%`;
+	slider.value = percentToStep(response.volume ?? 100);
+	if (response.rule) {
+		scopeSelect.value = response.rule;
+	}
 	populateSettingsTable();
 }
\ No newline at end of file